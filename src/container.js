@@ -0,0 +1,100 @@
+var React = require('react'),
+    extend = require('./utils.js').extend,
+    DataFetch = require('./data-fetch-mixin.js');
+
+// Methods of the mixin that are handed down to rendered components
+var PUBLIC_METHODS = [
+  'refreshData',
+  'stopFetching',
+  'stopPolling',
+  'resumePolling',
+  'loadNextPage',
+  'loadPreviousPage',
+  'mutateData'
+];
+
+// Methods components implement to customize the mixin, which can be passed
+// along with the options instead
+var HOOKS = [
+  'getDataUrl',
+  'getDataRequest',
+  'getDataSources',
+  'getDataStreamUrl',
+  'shouldRefetchData',
+  'transformData',
+  'reduceStreamData',
+  'getPageUrl',
+  'getNextPage',
+  'getPreviousPage',
+  'mergePages',
+  'dataSchema'
+];
+
+/**
+ * Create a component class that fetches data through the mixin, for use
+ * with ES6 class and function components, which don't support mixins. The
+ * mixin is the fetching core, so the component behaves exactly like one that
+ * uses the mixin directly.
+ *
+ * @param {Object} [options] Mixin options (see data-fetch-mixin.js), along
+ *     with any of the methods components implement to customize the mixin,
+ *     e.g. getDataUrl or transformData.
+ * @param {Object} spec
+ * @param {String} spec.displayName
+ * @param {Function} spec.render Receives the props to pass down, which are
+ *     the data fetching state and methods.
+ * @param {Function} [spec.getDataUrl] Used unless overridden by the options.
+ *
+ * @returns {Function} The component class.
+ */
+module.exports = function(options, spec) {
+  options = options || {};
+
+  var mixin = DataFetch(options);
+
+  var DataFetchContainer = function(props, context) {
+    React.Component.call(this, props, context);
+
+    // Mirror the autobinding createClass provides to mixins
+    PUBLIC_METHODS.concat('receiveDataFromServer').forEach(function(name) {
+      this[name] = this[name].bind(this);
+    }, this);
+
+    this.state = this.getInitialState();
+  };
+
+  DataFetchContainer.prototype = Object.create(React.Component.prototype);
+  DataFetchContainer.prototype.constructor = DataFetchContainer;
+
+  Object.keys(mixin).forEach(function(name) {
+    if (name !== 'statics' && name !== 'getDefaultProps') {
+      DataFetchContainer.prototype[name] = mixin[name];
+    }
+  });
+
+  if (spec.getDataUrl) {
+    DataFetchContainer.prototype.getDataUrl = spec.getDataUrl;
+  }
+
+  HOOKS.forEach(function(name) {
+    if (options[name] !== undefined) {
+      DataFetchContainer.prototype[name] = options[name];
+    }
+  });
+
+  DataFetchContainer.prototype.render = function() {
+    var dataProps = extend({}, this.state);
+
+    PUBLIC_METHODS.forEach(function(name) {
+      dataProps[name] = this[name];
+    }, this);
+
+    return spec.render.call(this, dataProps);
+  };
+
+  DataFetchContainer.displayName = spec.displayName;
+  DataFetchContainer.defaultProps = mixin.getDefaultProps();
+  DataFetchContainer.fetchData = mixin.statics.fetchData;
+
+  return DataFetchContainer;
+};
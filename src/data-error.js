@@ -0,0 +1,120 @@
+/**
+ * Errors are exposed in the component state (dataError, pageError and
+ * mutationError) as plain objects with a normalized shape, regardless of the
+ * transport that made the request.
+ * @typedef {Object} DataError
+ *
+ * @param {String} type One of "network", "timeout", "http", "parse", "abort"
+ *     or "validation".
+ * @param {Bool} retryable Whether asking again might succeed, which is the
+ *     case for network errors, timeouts and 5xx responses. For data errors
+ *     it follows the retry.shouldRetry option when retrying is enabled.
+ * @param {String} url
+ * @param {Number} [statusCode] The HTTP status code, 0 if there's none.
+ * @param {String} [statusText] The transport's error status, e.g. "error".
+ * @param {String} message
+ * @param {*} response The parsed JSON response, or the invalid data for
+ *     validation errors.
+ * @param {String} [responseText] The raw response body, even when it isn't
+ *     JSON.
+ * @param {Object} request The url, method, headers and body of the request.
+ * @param {Number} requestedAt Timestamp of the request, null if unknown.
+ * @param {Number} failedAt Timestamp of the failure.
+ */
+
+/**
+ * @param {Object} xhr jqXHR-like object.
+ * @param {String} status The type of error reported by the transport.
+ *
+ * @returns {String}
+ */
+exports.getType = function(xhr, status) {
+  if (status === 'abort') {
+    return 'abort';
+  }
+
+  if (status === 'timeout') {
+    return 'timeout';
+  }
+
+  if (status === 'parsererror') {
+    return 'parse';
+  }
+
+  // A request that never got a response didn't reach the server
+  return xhr.status ? 'http' : 'network';
+};
+
+/**
+ * @param {String} type
+ * @param {Number} [statusCode]
+ *
+ * @returns {Bool}
+ */
+exports.isRetryable = function(type, statusCode) {
+  if (type === 'network' || type === 'timeout') {
+    return true;
+  }
+
+  return type === 'http' && statusCode >= 500;
+};
+
+var describeRequest = function(dataRequest) {
+  return {
+    url: dataRequest.url,
+    method: dataRequest.method,
+    headers: dataRequest.headers,
+    body: dataRequest.body
+  };
+};
+
+/**
+ * @param {Object} dataRequest Normalized data request.
+ * @param {Number} requestedAt
+ * @param {Object} xhr jqXHR-like object.
+ * @param {String} status The type of error reported by the transport.
+ * @param {String|Error} err The error message.
+ *
+ * @returns {DataError}
+ */
+exports.fromRequest = function(dataRequest, requestedAt, xhr, status, err) {
+  var type = exports.getType(xhr, status);
+
+  return {
+    type: type,
+    retryable: exports.isRetryable(type, xhr.status),
+    url: dataRequest.url,
+    statusCode: xhr.status,
+    statusText: status,
+    message: err.toString(),
+    response: xhr.responseJSON,
+    responseText: xhr.responseText,
+    request: describeRequest(dataRequest),
+    requestedAt: requestedAt,
+    failedAt: Date.now()
+  };
+};
+
+/**
+ * @param {Object} dataRequest Normalized data request.
+ * @param {Number|null} requestedAt
+ * @param {*} data The invalid data.
+ * @param {Object[]} errors Failing paths, see src/schema.js.
+ *
+ * @returns {DataError}
+ */
+exports.fromValidation = function(dataRequest, requestedAt, data, errors) {
+  return {
+    type: 'validation',
+    retryable: false,
+    url: dataRequest.url,
+    message: 'Invalid data at ' + errors.map(function(error) {
+      return error.path || '(root)';
+    }).join(', '),
+    response: data,
+    errors: errors,
+    request: describeRequest(dataRequest),
+    requestedAt: requestedAt,
+    failedAt: Date.now()
+  };
+};
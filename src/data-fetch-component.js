@@ -0,0 +1,38 @@
+var createContainer = require('./container.js');
+
+/**
+ * Render-prop counterpart of the mixin. The url prop points to the data URL,
+ * while every other prop of the mixin (pollInterval, dataRequest,
+ * dataSources, etc.) works the same. The child function, or the render prop,
+ * receives the data fetching state (data, isFetchingData, dataError, etc.)
+ * and methods (refreshData, stopPolling, resumePolling, etc.) and returns
+ * what to render.
+ *
+ *   var DataFetch = require('react-data-fetch/src/data-fetch-component')();
+ *
+ *   <DataFetch url="/api/users" pollInterval={5000}>
+ *     {function(fetched) {
+ *       return <UserList users={fetched.data} />;
+ *     }}
+ *   </DataFetch>
+ *
+ * @param {Object} [options] Mixin options (see data-fetch-mixin.js), along
+ *     with any of the methods components implement to customize the mixin,
+ *     e.g. transformData.
+ *
+ * @returns {Function} The component class.
+ */
+module.exports = function(options) {
+  return createContainer(options, {
+    displayName: 'DataFetch',
+    getDataUrl: function(props) {
+      return props.url || props.dataUrl;
+    },
+    render: function(dataProps) {
+      var render = typeof(this.props.children) === 'function' ?
+          this.props.children : this.props.render;
+
+      return render(dataProps);
+    }
+  });
+};
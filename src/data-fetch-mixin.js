@@ -1,4 +1,24 @@
-var $ = require('jquery');
+var extend = require('./utils.js').extend,
+    defaults = require('./utils.js').defaults,
+    dedupe = require('./dedupe.js'),
+    applyMiddleware = require('./middleware.js'),
+    retry = require('./retry.js'),
+    dataErrors = require('./data-error.js'),
+    dataRequests = require('./data-request.js'),
+    sources = require('./data-sources.js'),
+    schemas = require('./schema.js'),
+    pagination = require('./pagination.js'),
+    polling = require('./polling.js'),
+    pageVisibility = require('./page-visibility.js'),
+    networkStatus = require('./network-status.js'),
+    serverRendering = require('./server-rendering.js'),
+    structuralSharing = require('./structural-sharing.js'),
+    streaming = require('./streaming.js'),
+    requestQueue = require('./request-queue.js'),
+    xhrTransport = require('./transports/xhr.js');
+
+// Final statuses of successful requests, as passed to complete callbacks
+var SUCCESS_STATUSES = ['success', 'notmodified', 'nocontent'];
 
 /**
  * Bare functionality for fetching server-side JSON data inside a React
@@ -15,6 +35,115 @@ var $ = require('jquery');
  *     composing it using other props, inside a custom method that receives the
  *     next props as arguments and returns the data URL. The expected method
  *     name is "getDataUrl" and overrides the dataUrl prop when implemented.
+ * @param {DataRequest} [dataRequest] Describes requests that go beyond a GET
+ *     to the data URL, e.g. a POST with a body. See src/data-request.js. The
+ *     URL can be omitted, in which case the data URL is used.
+ * @param {Function} getDataRequest The data request can also be generated
+ *     dynamically, inside a custom method that receives the next props as
+ *     arguments and returns the data request. The expected method name is
+ *     "getDataRequest" and overrides the dataRequest prop when implemented.
+ * @param {Object} [dataSources] Named data sources, for fetching data from
+ *     multiple endpoints. Each key maps to a URL, or to a data request with an
+ *     optional pollInterval, and gets its own state.data[key] and
+ *     state.dataStatus[key] (isFetchingData, dataError, etc.). The top level
+ *     isFetchingData and dataError aggregate the status of all sources.
+ *     Sources can depend on others, by listing their keys under dependsOn and
+ *     resolving their URL through a function that receives the props and the
+ *     data of those sources. They're fetched once all their dependencies
+ *     have data, skipped while any of them has an error, and refreshed along
+ *     with them.
+ * @param {Function} getDataSources The data sources can also be generated
+ *     dynamically, inside a custom method that receives the next props as
+ *     arguments and returns the data sources. The expected method name is
+ *     "getDataSources" and overrides the dataSources prop when implemented.
+ * @param {Object} [dataSchema] A JSON-Schema-like descriptor (see
+ *     src/schema.js) the received data is validated against. Invalid data
+ *     doesn't reach state.data, state.dataError is set instead with a
+ *     "validation" type and the list of failing paths. It can also be
+ *     defined as a property of the component, while named data sources
+ *     define it under their schema key.
+ * @param {Function} transformData Received data can be transformed before
+ *     being set in the state, inside a custom method that receives the raw
+ *     data and the props (and the source key, for named sources) as arguments
+ *     and returns the data to set. The expected method name is
+ *     "transformData". It runs after schema validation.
+ * @param {*} [initialPage=1] The first page loaded in paginated mode.
+ * @param {Function} getPageUrl Implementing this method turns on paginated
+ *     mode. It receives the props and a page (a number or a cursor) as
+ *     arguments and returns the URL of that page. The initial page populates
+ *     state.data, which is extended through loadNextPage() and
+ *     loadPreviousPage(). The state also exposes hasMore, hasPrevious,
+ *     isFetchingPage and pageError.
+ * @param {Function} getNextPage Receives the data and key of a page and
+ *     returns the key of the page after it, or null if there are no more
+ *     pages. Defaults to incrementing numbered pages until an empty one is
+ *     received.
+ * @param {Function} getPreviousPage Like getNextPage, for the page before.
+ *     Defaults to decrementing numbered pages down to 1.
+ * @param {Function} mergePages Receives the data of all loaded pages, in
+ *     order, and returns the data to set in the state. Defaults to
+ *     concatenating them.
+ * @param {Function} shouldRefetchData By default data is fetched again
+ *     whenever the data request (URL, method, headers and body) resolved from
+ *     the next props differs from the current one. A custom method that
+ *     receives the current and next props (and the source key, for named
+ *     sources) as arguments and returns whether data should be fetched again
+ *     can be implemented instead. The expected method name is
+ *     "shouldRefetchData".
+ * @param {String} [dataStreamUrl] A WebSocket (ws:// or wss://) or
+ *     Server-Sent Events URL that pushes data as JSON messages. Every message
+ *     is received like a response, replacing state.data unless
+ *     reduceStreamData is implemented. The connection status is exposed in
+ *     state.streamStatus, and polling only happens while the stream is
+ *     disconnected. Components with named data sources can't stream data.
+ * @param {Function} getDataStreamUrl The stream URL can also be generated
+ *     dynamically, inside a custom method that receives the next props as
+ *     arguments and returns the stream URL. The expected method name is
+ *     "getDataStreamUrl" and overrides the dataStreamUrl prop when
+ *     implemented.
+ * @param {Function} reduceStreamData Pushed messages can be applied as
+ *     patches instead, inside a custom method that receives the current data,
+ *     the message and the props as arguments and returns the new data. The
+ *     expected method name is "reduceStreamData".
+ */
+
+/**
+ * A function that performs a request and reports back through jQuery-style
+ * callbacks. Three transports ship with the package, under src/transports/:
+ * xhr (default), fetch and jquery.
+ * @typedef {Function} Transport
+ *
+ * @param {String} url
+ * @param {Object} request
+ * @param {String} request.method The HTTP method, e.g. GET.
+ * @param {Object} request.headers Header values indexed by name.
+ * @param {String} [request.body] The serialized request payload.
+ * @param {Bool} request.withCredentials Whether to send cookies cross-domain.
+ * @param {Function} request.success Called with the parsed JSON response.
+ * @param {Function} request.error Called with (xhr, status, err), where xhr is
+ *     a jqXHR-like object exposing at least status and responseJSON, status is
+ *     one of 'error', 'parsererror', 'timeout' or 'abort' and err is the error
+ *     message. Aborting the request must call it with 'abort'.
+ * @param {Function} request.complete Called after success or error.
+ *
+ * @returns {Object} The request, exposing an abort method.
+ */
+
+/**
+ * A function that opens a connection for pushed data. Two stream transports
+ * ship with the package, under src/streams/: websocket and event-source.
+ * @typedef {Function} StreamTransport
+ *
+ * @param {String} url
+ * @param {Object} request
+ * @param {Bool} request.withCredentials Whether to send cookies cross-domain.
+ * @param {Function} request.open Called once the connection is established.
+ * @param {Function} request.message Called with the parsed JSON of every
+ *     pushed message.
+ * @param {Function} request.close Called when the connection is lost, or
+ *     can't be established. Closing the connection ourselves doesn't call it.
+ *
+ * @returns {Object} The connection, exposing a close method.
  */
 
 /**
@@ -22,20 +151,187 @@ var $ = require('jquery');
  * @param {Bool} [options.crossDomain=false] If `true`, the requests will
  *     contain the cookies set for the other domain.
  * @param {Function} [onError] If given, it will be called whenever a request
- *     fails. See http://devdocs.io/jquery/jquery.ajax for details on what
- *     params will be passed.
+ *     fails, with the (xhr, status, err) arguments of the transport's error
+ *     callback. See http://devdocs.io/jquery/jquery.ajax for details.
+ * @param {Transport} [options.transport] Function used to make requests.
+ *     Defaults to a plain XMLHttpRequest transport.
+ * @param {Middleware[]} [options.middleware] Ordered chain of functions that
+ *     every request goes through, which can alter the request and inspect,
+ *     replace or fail the response. See src/middleware.js.
+ * @param {ResponseCache} [options.cache] A cache created through
+ *     src/response-cache.js. When given, components are populated from the
+ *     cache on mount and every successful response is stored in it.
+ * @param {Persistence} [options.persistence] A store created through
+ *     src/persistence.js, which outlives page reloads. Successful responses
+ *     are saved in it, and components are filled in from it until their own
+ *     responses arrive. Requests and polling are suspended while the browser
+ *     is offline, as reported in state.isOffline, and resumed once it's back
+ *     online.
+ * @param {Bool} [options.dedupe=false] If `true`, concurrent GET requests for
+ *     the same URL, from any component, share a single network request. The
+ *     shared request is only aborted once all components gave up on it.
+ * @param {Object|Bool} [options.retry=false] Retry failed requests with
+ *     exponential backoff. `true` enables retrying with default settings.
+ * @param {Number} [options.retry.maxAttempts=3] Maximum number of attempts,
+ *     including the initial request.
+ * @param {Number} [options.retry.baseDelay=1000] Delay in milliseconds before
+ *     the first retry, doubled with every subsequent one.
+ * @param {Number} [options.retry.jitter=0.5] Maximum random share of the
+ *     delay that is added on top of it.
+ * @param {Function} [options.retry.shouldRetry] Receives the (xhr, status,
+ *     err) of a failed request and returns whether it should be retried.
+ *     Defaults to retrying network errors, timeouts and 5xx responses.
+ * @param {Object|Bool} [options.adaptivePolling=false] Adapt polling to the
+ *     page visibility and the health of the server. `true` enables it with
+ *     default settings.
+ * @param {Bool} [options.adaptivePolling.pauseWhenHidden=true] Pause polling
+ *     while the page is hidden, and refetch as soon as it becomes visible.
+ * @param {Number} [options.adaptivePolling.backoffFactor=2] Factor by which
+ *     the poll interval is stretched after every consecutive error. The
+ *     regular interval is restored after a successful request.
+ * @param {Number} [options.adaptivePolling.maxPollInterval=60000] Limit in
+ *     milliseconds for the stretched poll interval.
+ * @param {Bool} [options.chainedPolling=false] If `true`, the next poll is
+ *     only scheduled after the current request completes, instead of polling
+ *     at fixed intervals regardless of slow requests piling up.
+ * @param {Number} [options.timeout] Time in milliseconds after which a
+ *     request is aborted and reported as a timeout error. Data requests can
+ *     set their own timeout instead.
+ * @param {Number} [options.pollTimeout] Like timeout, for poll requests.
+ * @param {RequestQueue} [options.queue] A queue created through
+ *     src/request-queue.js, which limits how many requests are in flight at
+ *     once. Requests made through refreshData(), page loads and mutations
+ *     are sent first, and polls last.
+ * @param {String} [options.pollPages='first'] Which pages to refresh when
+ *     polling in paginated mode, "first" or "all" loaded pages.
+ * @param {Bool} [options.conditionalRequests=false] If `true`, the ETag and
+ *     Last-Modified headers of responses are sent back through If-None-Match
+ *     and If-Modified-Since when requesting the same URL again. Not modified
+ *     responses leave the state untouched, which spares a re-render. Requires
+ *     a transport that passes the response to success callbacks, like the
+ *     built-in ones do.
+ * @param {Bool} [options.structuralSharing=false] If `true`, received data is
+ *     compared structurally with the current data. Data that didn't change
+ *     isn't set again, while unchanged objects inside data that did change
+ *     keep their identity.
+ * @param {String} [options.previousData] What happens to the data when the
+ *     data request changes. "clear" removes it right away, while "keep"
+ *     leaves it in place until the new data arrives, with state.isStaleData
+ *     set in the meantime. Either way state.dataUrl holds the URL the data
+ *     came from. By default the data is kept, without any of these flags.
+ * @param {StreamTransport} [options.streamTransport] Function used to open
+ *     data streams. Defaults to WebSocket for ws:// and wss:// URLs, and to
+ *     EventSource for the rest.
+ * @param {Object} [options.streamReconnect] Reconnect lost data streams with
+ *     exponential backoff.
+ * @param {Number} [options.streamReconnect.baseDelay=1000] Delay in
+ *     milliseconds before the first attempt, doubled with every subsequent
+ *     one.
+ * @param {Number} [options.streamReconnect.maxDelay=30000] Limit in
+ *     milliseconds for the doubled delay.
+ * @param {Number} [options.streamReconnect.jitter=0.5] Maximum random share
+ *     of the delay that is added on top of it.
  *
  * @returns {DataFetchMixin}
  */
 module.exports = function(options) {
-  options = options || {};
-
-  options = $.extend({
+  // Options explicitly set to undefined fall back to their defaults as well
+  options = defaults(extend({}, options), {
     crossDomain: false,
-    onError: function() {}
-  }, options);
+    onError: function() {},
+    transport: xhrTransport
+  });
+
+  var transport = options.middleware && options.middleware.length ?
+          applyMiddleware(options.transport, options.middleware) :
+          options.transport,
+      retryOptions = retry.getRetryOptions(options.retry),
+      adaptivePollingOptions = polling.getAdaptiveOptions(
+          options.adaptivePolling),
+      reconnectOptions = streaming.getReconnectOptions(
+          options.streamReconnect);
+
+  // Coalesced requests share a single pass through the middleware
+  if (options.dedupe) {
+    transport = dedupe(transport);
+  }
 
   return {
+    statics: {
+      fetchData: function(props, callback) {
+        /**
+         * Fetch the data of all sources ahead of rendering, e.g. on the
+         * server. The component isn't instantiated, but its methods are
+         * called with the given props like they would be after mounting.
+         *
+         * @param {Object} props
+         * @param {Function} callback Called with a DataPayload (see
+         *     src/server-rendering.js) once all requests completed, including
+         *     those of sources that depend on others. Failed requests,
+         *     including those that timed out, are left out of it.
+         */
+        var component = Object.create(this.prototype),
+            payload = {},
+            pendingCount = 0;
+
+        component.props = props = extend({}, this.defaultProps, props);
+
+        // Sources that depend on others resolve their requests from the data
+        // received for those
+        component._dataSources = {};
+
+        var done = function() {
+          pendingCount--;
+
+          if (pendingCount === 0) {
+            callback(payload);
+          }
+        };
+
+        var fetchSources = function() {
+          // Account for the sources walk itself, so that synchronous
+          // transports don't complete the fetching early
+          pendingCount++;
+
+          component._getSourceKeys(props).forEach(function(key) {
+            var source = sources.createSource(key),
+                dataRequest = !component._dataSources[key] &&
+                              component._getSourceRequest(source, props);
+
+            if (!dataRequest) {
+              return;
+            }
+
+            component._dataSources[key] = source;
+            pendingCount++;
+
+            // Timeouts keep a hung endpoint from stalling the rendering
+            component._sendRequest(dataRequest, {
+              success: function(data) {
+                var result = component._processData(source, dataRequest,
+                                                    props, data);
+
+                if (!result.dataError) {
+                  source.data = result.data;
+                  payload[serverRendering.getRequestKey(dataRequest)] =
+                      result.data;
+                }
+              },
+              error: function() {},
+              complete: function() {
+                fetchSources();
+                done();
+              }
+            });
+          });
+
+          done();
+        };
+
+        fetchSources();
+      }
+    },
+
     getDefaultProps: function() {
       return {
         // Enable polling by setting a value bigger than zero, in ms
@@ -44,22 +340,110 @@ module.exports = function(options) {
     },
 
     getInitialState: function() {
-      return {
+      var initialState = {
         isFetchingData: false,
-        dataError: null
+        dataError: null,
+        retryCount: 0,
+        nextRetryAt: null,
+        isMutatingData: false,
+        mutationError: null
       };
+
+      if (this._getDataSources(this.props)) {
+        initialState.data = {};
+        initialState.dataStatus = {};
+      }
+
+      // Data fetched ahead of rendering spares the initial requests
+      this._preloadedData = {};
+
+      // Sources that depend on others resolve their requests from the
+      // preloaded data of those, so they're looked up until no more resolve
+      this._dataSources = {};
+
+      var hasResolved;
+
+      do {
+        hasResolved = false;
+
+        this._getSourceKeys(this.props).forEach(function(key) {
+          var source = sources.createSource(key),
+              dataRequest = !this._dataSources[key] &&
+                            this._getSourceRequest(source, this.props),
+              preloaded = dataRequest &&
+                          serverRendering.takePreloadedData(dataRequest);
+
+          if (!preloaded) {
+            return;
+          }
+
+          hasResolved = true;
+          source.data = preloaded.data;
+
+          this._dataSources[key] = source;
+          this._preloadedData[key] = {
+            url: dataRequest.url,
+            data: preloaded.data
+          };
+
+          if (key === sources.DEFAULT_KEY) {
+            initialState.data = preloaded.data;
+          } else {
+            initialState.data[key] = preloaded.data;
+          }
+        }, this);
+      } while (hasResolved);
+
+      if (typeof(this.getPageUrl) === 'function') {
+        initialState.hasMore = false;
+        initialState.hasPrevious = false;
+        initialState.isFetchingPage = false;
+        initialState.pageError = null;
+      }
+
+      if (this._getDataStreamUrl(this.props)) {
+        initialState.streamStatus = null;
+      }
+
+      if (options.previousData) {
+        initialState.dataUrl = null;
+        initialState.isStaleData = false;
+      }
+
+      if (options.persistence) {
+        initialState.isOffline = networkStatus.isOffline();
+      }
+
+      return initialState;
     },
 
     componentWillMount: function() {
-      this._xhrRequests = [];
+      this._dataSources = {};
+
+      // Server rendered components start from the data fetched ahead, and
+      // leave any fetching to their client side counterparts
+      if (serverRendering.isServer()) {
+        this._isServerRendered = true;
+        return;
+      }
+
+      if (adaptivePollingOptions && adaptivePollingOptions.pauseWhenHidden) {
+        this._onVisibilityChange = this._onVisibilityChange.bind(this);
+        pageVisibility.addListener(this._onVisibilityChange);
+      }
+
+      if (options.persistence) {
+        this._onNetworkStatusChange = this._onNetworkStatusChange.bind(this);
+        networkStatus.addListener(this._onNetworkStatusChange);
+      }
 
       // The dataUrl prop points to a source of data than will extend the initial
       // state of the component, once it will be fetched
-      this._resetData(this.props);
+      this._getSourceKeys(this.props).forEach(function(key) {
+        this._addSource(key, this.props);
+      }, this);
 
-      if (this._shouldWePoll(this.props)) {
-        this._startPolling(this.props);
-      }
+      this._openStream(this._getDataStreamUrl(this.props));
     },
 
     componentWillReceiveProps: function(nextProps) {
@@ -67,174 +451,1806 @@ module.exports = function(options) {
        * A component can have its configuration replaced at any time so we need
        * to fetch data again. We may also need to reset/stop polling.
        */
-      var dataUrlChanged = this.props.dataUrl !== nextProps.dataUrl,
-          pollIntervalChanged = this.props.pollInterval !==
-              nextProps.pollInterval;
+      var props = this.props,
+          nextKeys = this._getSourceKeys(nextProps);
+
+      Object.keys(this._dataSources).forEach(function(key) {
+        if (nextKeys.indexOf(key) === -1) {
+          this._removeSource(this._dataSources[key]);
+        }
+      }, this);
 
-      if (dataUrlChanged || pollIntervalChanged) {
-        this._clearPolling();
+      nextKeys.forEach(function(key) {
+        var source = this._dataSources[key];
 
-        if (dataUrlChanged) {
-          this._resetData(nextProps);
+        if (!source) {
+          this._addSource(key, nextProps);
+          return;
         }
 
-        if (this._shouldWePoll(nextProps)) {
-          this._startPolling(nextProps);
+        var dataUrlChanged = this._shouldRefetchData(source, props, nextProps),
+            pollIntervalChanged = this._getSourcePollInterval(source, props) !==
+                this._getSourcePollInterval(source, nextProps);
+
+        // Polls always target the URL resolved from the latest props, even
+        // when the component decided that a change didn't require fetching
+        // again
+        source.pollProps = nextProps;
+
+        if (dataUrlChanged || pollIntervalChanged) {
+          this._clearPolling(source);
+
+          if (dataUrlChanged) {
+            this._handlePreviousData(source);
+            this._resetData(source, nextProps);
+          }
+
+          if (this._shouldWePoll(source, nextProps)) {
+            this._startPolling(source, nextProps);
+          }
         }
+      }, this);
+
+      var streamUrl = this._getDataStreamUrl(nextProps);
+
+      if (streamUrl !== (this._stream && this._stream.url)) {
+        this._closeStream(nextProps);
+        this._openStream(streamUrl);
       }
     },
 
     componentWillUnmount: function() {
+      if (this._isServerRendered) {
+        return;
+      }
+
       // We abort any on-going requests when unmounting to make sure their
       // callbacks will no longer be called. The error callback will still be
       // called because of the abort action itself, so we use this flag to know
       // to ignore it altogether from this point on
       this._ignoreXhrRequestCallbacks = true;
 
-      this._clearDataRequests();
+      this._getSources().forEach(function(source) {
+        this._clearDataRequests(source);
+        this._clearPolling(source);
+      }, this);
+
+      this._closeStream();
+
+      if (adaptivePollingOptions && adaptivePollingOptions.pauseWhenHidden) {
+        pageVisibility.removeListener(this._onVisibilityChange);
+      }
 
-      this._clearPolling();
+      if (options.persistence) {
+        networkStatus.removeListener(this._onNetworkStatusChange);
+      }
     },
 
-    refreshData: function() {
+    refreshData: function(key) {
       /**
-       * Hit the same data URL again.
+       * Hit the same data URL again, even if the response cache holds a
+       * fresh entry for it.
+       *
+       * @param {String} [key] Only refresh the data source with this key.
        */
-      this._resetData(this.props);
+      var refreshedSources = this._getSources(key);
+
+      refreshedSources.forEach(function(source) {
+        // Dependent sources are refreshed once the sources they depend on
+        // receive their data
+        if (this._dependsOnAny(source, refreshedSources)) {
+          return;
+        }
+
+        source.isCascading = true;
+        this._resetData(source, this.props, {
+          priority: requestQueue.HIGH_PRIORITY,
+          skipCache: true
+        });
+      }, this);
     },
 
-    stopFetching: function() {
-      this._clearDataRequests();
+    stopFetching: function(key) {
+      /**
+       * @param {String} [key] Only stop fetching the data source with this
+       *     key.
+       */
+      this._getSources(key).forEach(function(source) {
+        if (source.retryTimeout || source.xhrRequests.length) {
+          this._setSourceState(source, {
+            isFetchingData: false,
+            nextRetryAt: null
+          });
+        }
+
+        this._clearDataRequests(source);
+      }, this);
     },
 
-    stopPolling: function() {
-      this._clearPolling();
+    stopPolling: function(key) {
+      /**
+       * @param {String} [key] Only stop polling the data source with this key.
+       */
+      this._getSources(key).forEach(this._clearPolling, this);
     },
 
-    resumePolling: function() {
-      this._clearPolling();
-      this._startPolling(this.props);
+    resumePolling: function(key) {
+      /**
+       * @param {String} [key] Only resume polling the data source with this
+       *     key.
+       */
+      this._getSources(key).forEach(function(source) {
+        this._clearPolling(source);
+
+        if (this._shouldWePoll(source, this.props)) {
+          this._startPolling(source, this.props);
+        }
+      }, this);
     },
 
-    receiveDataFromServer: function(data) {
-      this.setState({
-        isFetchingData: false,
-        data: data
-      });
+    loadNextPage: function() {
+      /**
+       * Load the page after the last loaded one, in paginated mode.
+       */
+      this._loadPage('next');
     },
 
-    _resetData: function(props) {
+    loadPreviousPage: function() {
       /**
-       * Hit the dataUrl and fetch data.
-       *
-       * Before starting to fetch data we reset any ongoing requests.
+       * Load the page before the first loaded one, in paginated mode.
+       */
+      this._loadPage('previous');
+    },
+
+    mutateData: function(request, optimisticUpdater, mutationOptions) {
+      /**
+       * Send a write request, while updating state.data right away with the
+       * expected outcome. If the request fails the update is rolled back and
+       * state.mutationError is set. Responses of data requests are ignored
+       * while mutations are pending, so they don't overwrite the optimistic
+       * data.
        *
-       * @param {Object} props
-       * @param {String} props.dataUrl The URL that will be hit for data. The URL
-       *     can be generated dynamically by composing it through other props,
-       *     inside a custom method that receives the next props as arguments and
-       *     returns the data URL. The expected method name is "getDataUrl" and
-       *     overrides the dataUrl prop when implemented
+       * @param {DataRequest} [request] The write request. Its method defaults
+       *     to POST and its URL to the URL of the mutated data source.
+       * @param {Function} [optimisticUpdater] Receives the current data and
+       *     returns the data expected after the write.
+       * @param {Object} [mutationOptions]
+       * @param {Bool} [mutationOptions.refetch=false] Fetch data again once
+       *     all pending mutations completed, bypassing the response cache.
+       * @param {Function} [mutationOptions.mergeResponse] Receives the
+       *     optimistically updated data and the server's reply and returns the
+       *     data to keep after a successful write.
+       * @param {String} [mutationOptions.source] The key of the named data
+       *     source to mutate.
        */
-      var dataUrl = this._getDataUrl(props);
+      request = request || {};
+      mutationOptions = mutationOptions || {};
+
+      var key = mutationOptions.source !== undefined ?
+              mutationOptions.source : sources.DEFAULT_KEY,
+          source = this._dataSources[key];
+
+      if (!source) {
+        return;
+      }
 
-      this._clearDataRequests();
+      var mutation = {
+        updater: optimisticUpdater || function(data) {
+          return data;
+        },
+        mergeResponse: mutationOptions.mergeResponse
+      };
 
-      if (dataUrl) {
-        this._fetchDataFromServer(dataUrl, this.receiveDataFromServer);
+      if (!source.mutations.length) {
+        source.mutationBase = this._getSourceData(source);
       }
+
+      source.mutations.push(mutation);
+      source.refetchAfterMutations = source.refetchAfterMutations ||
+                                     Boolean(mutationOptions.refetch);
+
+      this._setSourceState(source, {
+        data: this._getOptimisticData(source),
+        isMutatingData: true,
+        mutationError: null
+      });
+
+      var sourceRequest = this._getSourceRequest(source, this.props);
+
+      this._sendMutation(source, mutation, dataRequests.normalize(extend({
+        method: 'POST'
+      }, request, {
+        url: request.url || sourceRequest && sourceRequest.url
+      })));
     },
 
-    _clearDataRequests: function() {
-      // Cancel any on-going request.
-      while (this._xhrRequests.length > 0) {
-        this._xhrRequests.pop().abort();
+    receiveDataFromServer: function(data) {
+      var source = this._dataSources &&
+                   this._dataSources[sources.DEFAULT_KEY],
+          update = this._getReceivedDataState(source,
+                                              this.state && this.state.data,
+                                              data);
+
+      if (Object.keys(update).length) {
+        this.setState(update);
+      }
+    },
+
+    _getDataSources: function(props) {
+      /**
+       * @returns {Object|null} Named data source definitions, indexed by key,
+       *     or null if the component only has the default data source.
+       */
+      return typeof(this.getDataSources) === 'function' ?
+          this.getDataSources(props) : props.dataSources || null;
+    },
+
+    _getSourceKeys: function(props) {
+      var dataSources = this._getDataSources(props);
+
+      return dataSources ? Object.keys(dataSources) :
+                           [sources.DEFAULT_KEY];
+    },
+
+    _getSources: function(key) {
+      /**
+       * @param {String} [key] Only return the data source with this key.
+       *
+       * @returns {Object[]}
+       */
+      var dataSources = this._dataSources;
+
+      if (key !== undefined) {
+        return dataSources[key] ? [dataSources[key]] : [];
       }
+
+      return Object.keys(dataSources).map(function(sourceKey) {
+        return dataSources[sourceKey];
+      });
     },
 
-    _startPolling: function(props) {
-      var url = this._getDataUrl(props);
+    _addSource: function(key, props) {
+      var source = this._dataSources[key] = sources.createSource(key),
+          preloadedData = this._preloadedData || {};
 
-      var callback = function() {
-        this._fetchDataFromServer(url, this.receiveDataFromServer);
-      };
+      if (preloadedData.hasOwnProperty(key)) {
+        // Loaded pages still need to be tracked, in order to load more
+        if (this._isPaginated(source)) {
+          this._receivePage(source, this._getInitialPage(props), 'first',
+                            preloadedData[key].data);
+        }
+
+        source.data = preloadedData[key].data;
+        source.requestUrl = preloadedData[key].url;
+
+        delete preloadedData[key];
+
+        // Sources depending on this one that were added before it couldn't
+        // resolve their requests until now
+        this._fetchDependents(source);
+      } else {
+        this._resetData(source, props);
+      }
 
-      this._pollInterval = setInterval(callback.bind(this), props.pollInterval);
+      if (this._shouldWePoll(source, props)) {
+        this._startPolling(source, props);
+      }
     },
 
-    _clearPolling: function() {
-      clearInterval(this._pollInterval);
-      this._pollInterval = null;
+    _removeSource: function(source) {
+      this._clearDataRequests(source);
+      this._clearPolling(source);
+
+      delete this._dataSources[source.key];
+
+      if (source.key !== sources.DEFAULT_KEY) {
+        this.setState(function(state) {
+          return sources.removeSourceState(state, source.key);
+        });
+      }
     },
 
-    _getDataUrl: function(props) {
-      return typeof(this.getDataUrl) === 'function' ?
-          this.getDataUrl(props) : props.dataUrl;
+    _setSourceState: function(source, update) {
+      /**
+       * The default data source maps directly to the component state, while
+       * named ones are merged into state.data and state.dataStatus.
+       *
+       * @param {Object} source
+       * @param {Object} update Data and/or status changes of the source.
+       */
+      if (source.key === sources.DEFAULT_KEY) {
+        this.setState(update);
+        return;
+      }
+
+      if (update.hasOwnProperty('data')) {
+        source.data = update.data;
+      }
+
+      if (update.hasOwnProperty('dataError')) {
+        source.dataError = update.dataError;
+      }
+
+      this.setState(function(state) {
+        return sources.mergeSourceState(state, source.key, update);
+      });
     },
 
-    _fetchDataFromServer: function(url, onSuccess) {
-      this.setState({
-        isFetchingData: true,
-        dataError: null
+    _getSuccessCallback: function(source, isPoll) {
+      if (this._isPaginated(source)) {
+        return function(data) {
+          this._receivePage(source, this._getInitialPage(this.props),
+                            isPoll ? 'refresh' : 'first', data);
+        }.bind(this);
+      }
+
+      if (source.key === sources.DEFAULT_KEY) {
+        return this.receiveDataFromServer;
+      }
+
+      return function(data) {
+        var update = this._getReceivedDataState(
+            source, this._getSourceData(source), data);
+
+        if (Object.keys(update).length) {
+          this._setSourceState(source, update);
+        }
+
+        this._fetchDependents(source);
+      }.bind(this);
+    },
+
+    _dependsOnAny: function(source, otherSources) {
+      var dependencies = sources.getDependencies(
+          this._getSourceDefinition(source, this.props));
+
+      return otherSources.some(function(otherSource) {
+        return dependencies.indexOf(otherSource.key) !== -1;
       });
+    },
 
-      var request,
-          onComplete,
-          onError;
+    _getDependencyData: function(definition) {
+      /**
+       * @param {Object} definition Normalized source definition.
+       *
+       * @returns {Object|null} The data of the sources a source depends on,
+       *     indexed by key, or null if any of them has no data yet or has an
+       *     error.
+       */
+      var dataSources = this._dataSources || {},
+          data = {};
 
-      onComplete = function() {
-        this._xhrRequests = this._xhrRequests.filter(function(xhrRequest) {
-          return xhrRequest !== request;
-        });
-      };
+      var isResolved = sources.getDependencies(definition).every(function(key) {
+        var dependency = dataSources[key];
 
-      var instance = this;
+        if (!dependency || dependency.data === undefined ||
+            dependency.dataError) {
+          return false;
+        }
+
+        data[key] = dependency.data;
+        return true;
+      });
 
+      return isResolved ? data : null;
+    },
+
+    _fetchDependents: function(source) {
       /**
-       * @this {Object} $.ajax context.
+       * Fetch the sources that depend on a source that just received data,
+       * if their requests changed as a result, or if the source was
+       * refreshed.
        *
-       * @param {Object} xhr jQuery XHR object.
-       * @param {String} status The type of error.
-       * @param {String} err The error message.
+       * @param {Object} source
        */
-      onError = function(xhr, status, err) {
-        if (instance._ignoreXhrRequestCallbacks) {
+      var isCascading = source.isCascading;
+
+      source.isCascading = false;
+
+      this._getSources().forEach(function(dependent) {
+        var definition = this._getSourceDefinition(dependent, this.props);
+
+        if (sources.getDependencies(definition).indexOf(source.key) === -1) {
           return;
         }
 
-        instance.setState({
-          isFetchingData: false,
-          dataError: {
-            url: url,
-            statusCode: xhr.status,
-            statusText: status,
-            message: err.toString(),
-            response: xhr.responseJSON
-          }
-        });
+        var dataRequest = this._getSourceRequest(dependent, this.props);
 
-        options.onError.call(this, xhr, status, err);
+        if (dataRequest &&
+            (isCascading || dataRequest.url !== dependent.requestUrl)) {
+          dependent.isCascading = isCascading;
+          this._resetData(dependent, this.props, {
+            skipCache: isCascading
+          });
+        }
+      }, this);
+    },
+
+    _getReceivedDataState: function(source, currentData, data) {
+      /**
+       * @returns {Object} The state update for received data, which leaves
+       *     out the data itself if it's structurally equal to the current one,
+       *     along with any status that didn't change.
+       */
+      var update = extend({
+        isFetchingData: Boolean(source && source.isFetchingLatest),
+        dataError: null
+      }, source && this._getDataUrlState(source.requestUrl));
+
+      if (options.structuralSharing) {
+        data = structuralSharing.share(currentData, data);
+
+        if (data === currentData) {
+          return this._getStatusChanges(source, update);
+        }
+      }
+
+      update.data = data;
+
+      return update;
+    },
+
+    _getSourceStatus: function(source) {
+      /**
+       * @returns {Object} The current isFetchingData, dataError, etc. of a
+       *     source.
+       */
+      var state = this.state || {};
+
+      if (!source || source.key === sources.DEFAULT_KEY) {
+        return state;
+      }
+
+      return state.dataStatus && state.dataStatus[source.key] || {};
+    },
+
+    _getStatusChanges: function(source, update) {
+      /**
+       * @returns {Object} The part of a status update of a source that
+       *     differs from its current status.
+       */
+      var status = this._getSourceStatus(source);
+
+      return Object.keys(update).reduce(function(changes, name) {
+        if (update[name] !== status[name]) {
+          changes[name] = update[name];
+        }
+
+        return changes;
+      }, {});
+    },
+
+    _getDataUrlState: function(url) {
+      /**
+       * @returns {Object} The state update marking data as coming from a URL,
+       *     if the previousData option asks for it.
+       */
+      if (!options.previousData) {
+        return {};
+      }
+
+      return {
+        dataUrl: url,
+        isStaleData: false
       };
+    },
 
-      request = $.ajax({
-        url: url,
-        // Even though not recommended, some $.ajaxSettings might default to
-        // POST requests. See http://api.jquery.com/jquery.ajaxsetup/
-        type: 'GET',
-        dataType: 'json',
-        xhrFields: {
-          withCredentials: options.crossDomain
-        },
-        complete: onComplete.bind(this),
-        success: onSuccess,
-        error: onError
-      });
+    _handlePreviousData: function(source) {
+      /**
+       * Clear or mark the data of a source as stale, before fetching data from
+       * a different data request.
+       */
+      if (options.previousData === 'clear') {
+        this._setSourceState(source, {
+          data: undefined,
+          dataUrl: null,
+          isStaleData: false
+        });
+      } else if (options.previousData === 'keep' &&
+                 this._getSourceData(source) !== undefined) {
+        this._setSourceState(source, {
+          isStaleData: true
+        });
+      }
+    },
+
+    _getSourceData: function(source) {
+      var data = this.state && this.state.data;
+
+      if (source.key === sources.DEFAULT_KEY) {
+        return data;
+      }
+
+      return data ? data[source.key] : undefined;
+    },
 
-      this._xhrRequests.push(request);
+    _getOptimisticData: function(source) {
+      return source.mutations.reduce(function(data, mutation) {
+        return mutation.updater(data);
+      }, source.mutationBase);
     },
 
-    _shouldWePoll: function(props) {
-      return props.pollInterval > 0;
+    _sendMutation: function(source, mutation, dataRequest) {
+      var instance = this;
+
+      var requestedAt = Date.now();
+
+      var settle = function(update) {
+        source.mutations.splice(source.mutations.indexOf(mutation), 1);
+
+        var isMutatingData = source.mutations.length > 0;
+
+        instance._setSourceState(source, extend({
+          data: instance._getOptimisticData(source),
+          isMutatingData: isMutatingData
+        }, update));
+
+        if (!isMutatingData) {
+          source.mutationBase = null;
+
+          if (source.refetchAfterMutations) {
+            source.refetchAfterMutations = false;
+            instance._resetData(source, instance.props, {
+              skipCache: true
+            });
+          }
+        }
+      };
+
+      this._sendRequest(dataRequest, {
+        complete: function() {},
+        success: function(response) {
+          if (instance._ignoreXhrRequestCallbacks) {
+            return;
+          }
+
+          // The mutation is now part of the data that other pending ones
+          // build upon
+          var data = mutation.updater(source.mutationBase);
+
+          instance._invalidateCachedData(source);
+
+          source.mutationBase = mutation.mergeResponse ?
+              mutation.mergeResponse(data, response) : data;
+
+          settle({});
+        },
+        error: function(xhr, status, err) {
+          if (instance._ignoreXhrRequestCallbacks) {
+            return;
+          }
+
+          // Leaving the mutation out of the optimistic data rolls it back
+          settle({
+            mutationError: dataErrors.fromRequest(dataRequest, requestedAt,
+                                                  xhr, status, err)
+          });
+
+          options.onError.call(this, xhr, status, err);
+        }
+      }, {
+        priority: requestQueue.HIGH_PRIORITY
+      });
+    },
+
+    _invalidateCachedData: function(source) {
+      /**
+       * Drop the cached response of a source, which a successful write made
+       * outdated.
+       */
+      var dataRequest = this._getSourceRequest(source, this.props);
+
+      if (dataRequest && this._isCacheable(dataRequest)) {
+        options.cache.invalidate(dataRequest.url);
+      }
+    },
+
+    _receiveUnlessMutating: function(source, onSuccess) {
+      // Data requested before or during a mutation would overwrite its
+      // optimistic outcome
+      if (source.mutations.length) {
+        this._setSourceState(source, {
+          isFetchingData: source.isFetchingLatest
+        });
+        return;
+      }
+
+      onSuccess.apply(this, Array.prototype.slice.call(arguments, 2));
+    },
+
+    _resetData: function(source, props, resetOptions) {
+      /**
+       * Hit the dataUrl and fetch data.
+       *
+       * Before starting to fetch data we reset any ongoing requests.
+       *
+       * @param {Object} source
+       * @param {Object} props
+       * @param {String} props.dataUrl The URL that will be hit for data. The URL
+       *     can be generated dynamically by composing it through other props,
+       *     inside a custom method that receives the next props as arguments and
+       *     returns the data URL. The expected method name is "getDataUrl" and
+       *     overrides the dataUrl prop when implemented
+       * @param {Object} [resetOptions]
+       * @param {Number} [resetOptions.priority] Priority of the request in the
+       *     request queue.
+       * @param {Bool} [resetOptions.skipCache=false] Fetch data from the
+       *     server even if the cache holds a fresh entry for it.
+       */
+      resetOptions = resetOptions || {};
+
+      var dataRequest = this._getSourceRequest(source, props),
+          isFetchingData = source.xhrRequests.length > 0,
+          cached;
+
+      this._clearDataRequests(source);
+
+      if (!dataRequest) {
+        if (isFetchingData) {
+          this._setSourceState(source, {
+            isFetchingData: false
+          });
+        }
+        return;
+      }
+
+      if (this._isCacheable(dataRequest) && !resetOptions.skipCache) {
+        cached = options.cache.get(dataRequest.url);
+      }
+
+      if (cached) {
+        var result = this._processData(source, dataRequest, props,
+                                       cached.data);
+
+        source.requestUrl = dataRequest.url;
+
+        if (this._isPaginated(source) && !result.dataError) {
+          this._receivePage(source, this._getInitialPage(props), 'first',
+                            result.data);
+        } else {
+          this._setSourceState(source, extend({
+            isFetchingData: false,
+            dataError: result.dataError,
+            data: result.data
+          }, result.dataError ? {} : this._getDataUrlState(dataRequest.url)));
+        }
+
+        this._fetchDependents(source);
+
+        // Fresh cache entries spare us the request altogether, while stale
+        // ones are refreshed in the background
+        if (!cached.isStale) {
+          return;
+        }
+      } else if (this._isPersistable(dataRequest) &&
+                 source.requestUrl !== dataRequest.url) {
+        source.requestUrl = dataRequest.url;
+        this._restorePersistedData(source, dataRequest, props);
+      }
+
+      if (this._isOffline()) {
+        source.isFetchingSuspended = true;
+
+        if (isFetchingData) {
+          this._setSourceState(source, {
+            isFetchingData: false
+          });
+        }
+        return;
+      }
+
+      this._fetchDataFromServer(source, dataRequest,
+                                this._getSuccessCallback(source), {
+        priority: resetOptions.priority
+      });
+    },
+
+    _restorePersistedData: function(source, dataRequest, props) {
+      /**
+       * Fill in the data of a source from the persisted response of its data
+       * request, unless the response of the request itself arrives first.
+       *
+       * @param {Object} source
+       * @param {Object} dataRequest Normalized data request.
+       * @param {Object} props
+       */
+      var url = dataRequest.url,
+          sequence = source.requestSequence;
+
+      options.persistence.get(url, function(persisted) {
+        if (!persisted || this._ignoreXhrRequestCallbacks ||
+            this._dataSources[source.key] !== source ||
+            source.requestUrl !== url || source.appliedSequence > sequence) {
+          return;
+        }
+
+        var result = this._processData(source, dataRequest, props,
+                                       persisted.data);
+
+        // Data persisted in a format that is no longer valid is left out
+        if (!result.dataError) {
+          this._getSuccessCallback(source).call(this, result.data);
+        }
+      }.bind(this));
+    },
+
+    _shouldProcessData: function(source, props) {
+      return typeof(this.transformData) === 'function' ||
+             Boolean(this._getSourceSchema(source, props));
+    },
+
+    _processData: function(source, dataRequest, props, rawData,
+                           requestedAt) {
+      /**
+       * Validate and transform received data.
+       *
+       * @param {Object} source
+       * @param {Object} dataRequest Normalized data request.
+       * @param {Object} props
+       * @param {*} rawData
+       * @param {Number} [requestedAt] Timestamp of the request, if the data
+       *     was just received.
+       *
+       * @returns {Object} An object with the data to set, or with a
+       *     validation dataError if the raw data isn't valid.
+       */
+      var schema = this._getSourceSchema(source, props),
+          errors = schema ? schemas.validate(schema, rawData) : [];
+
+      if (errors.length) {
+        var dataError = dataErrors.fromValidation(dataRequest,
+                                                  requestedAt || null,
+                                                  rawData, errors);
+
+        if (source.key !== sources.DEFAULT_KEY) {
+          dataError.source = source.key;
+        }
+
+        return {
+          dataError: dataError
+        };
+      }
+
+      if (typeof(this.transformData) !== 'function') {
+        return {
+          data: rawData,
+          dataError: null
+        };
+      }
+
+      return {
+        data: source.key === sources.DEFAULT_KEY ?
+            this.transformData(rawData, props) :
+            this.transformData(rawData, props, source.key),
+        dataError: null
+      };
+    },
+
+    _receiveProcessedData: function(source, dataRequest, requestedAt,
+                                    onSuccess, rawData) {
+      var result = this._processData(source, dataRequest, this.props,
+                                     rawData, requestedAt);
+
+      if (result.dataError) {
+        this._setSourceState(source, {
+          isFetchingData: source.isFetchingLatest,
+          dataError: result.dataError
+        });
+        return;
+      }
+
+      var args = Array.prototype.slice.call(arguments, 4);
+      args[0] = result.data;
+
+      onSuccess.apply(this, args);
+    },
+
+    _clearDataRequests: function(source) {
+      // Cancel any on-going request.
+      while (source.xhrRequests.length > 0) {
+        source.xhrRequests.pop().abort();
+      }
+
+      source.isFetchingLatest = false;
+
+      this._clearRetry(source);
+    },
+
+    _clearRetry: function(source) {
+      clearTimeout(source.retryTimeout);
+      source.retryTimeout = null;
+    },
+
+    _startPolling: function(source, props) {
+      source.pollProps = props;
+
+      // Polling will start once the page becomes visible, or the browser
+      // online, again
+      if (this._shouldPauseWhenHidden() || this._isOffline()) {
+        source.isPollingPaused = true;
+        return;
+      }
+
+      source.isPolling = true;
+
+      if (options.chainedPolling) {
+        this._scheduleNextPoll(source);
+      } else {
+        source.pollInterval = setInterval(this._poll.bind(this, source),
+                                          this._getPollInterval(source,
+                                                                props));
+      }
+    },
+
+    _clearPolling: function(source) {
+      clearInterval(source.pollInterval);
+      clearTimeout(source.pollTimeout);
+      source.pollInterval = null;
+      source.pollTimeout = null;
+      source.isPolling = false;
+      source.isPollingPaused = false;
+    },
+
+    _poll: function(source, priority) {
+      /**
+       * @param {Object} source
+       * @param {Number} [priority] Polls run in the background by default,
+       *     so they make way for other requests in the request queue.
+       */
+      source.pollTimeout = null;
+
+      // With chained polling, the next poll is scheduled once the request in
+      // progress completes
+      if (options.chainedPolling && source.xhrRequests.length > 0) {
+        return;
+      }
+
+      var dataRequest = this._getSourceRequest(source, source.pollProps);
+
+      if (!dataRequest) {
+        if (options.chainedPolling) {
+          this._scheduleNextPoll(source);
+        }
+
+        return;
+      }
+
+      this._fetchDataFromServer(source, dataRequest,
+                                this._getSuccessCallback(source, true), {
+        isPoll: true,
+        timeout: options.pollTimeout,
+        priority: priority === undefined ? requestQueue.LOW_PRIORITY :
+                                           priority
+      });
+
+      if (this._isPaginated(source) && options.pollPages === 'all') {
+        source.pages.slice(1).forEach(function(entry) {
+          this._fetchPage(source, entry.page, 'refresh');
+        }, this);
+      }
+    },
+
+    _scheduleNextPoll: function(source) {
+      if (!source.isPolling || source.pollTimeout ||
+          source.xhrRequests.length > 0) {
+        return;
+      }
+
+      source.pollTimeout = setTimeout(this._poll.bind(this, source),
+                                      this._getPollInterval(source,
+                                                            this.props));
+    },
+
+    _shouldPauseWhenHidden: function() {
+      return Boolean(adaptivePollingOptions &&
+                     adaptivePollingOptions.pauseWhenHidden &&
+                     pageVisibility.isHidden());
+    },
+
+    _onVisibilityChange: function() {
+      this._getSources().forEach(function(source) {
+        if (pageVisibility.isHidden()) {
+          if (source.isPolling) {
+            this._clearPolling(source);
+            source.isPollingPaused = true;
+          }
+        } else if (source.isPollingPaused && !this._isOffline()) {
+          // The data is likely outdated after a while in the background, and
+          // it's what the user is looking at now
+          source.isPollingPaused = false;
+          this._poll(source, requestQueue.HIGH_PRIORITY);
+          this._startPolling(source, this.props);
+        }
+      }, this);
+    },
+
+    _isOffline: function() {
+      return Boolean(options.persistence) && networkStatus.isOffline();
+    },
+
+    _onNetworkStatusChange: function() {
+      var isOffline = networkStatus.isOffline();
+
+      this.setState({
+        isOffline: isOffline
+      });
+
+      this._getSources().forEach(function(source) {
+        if (isOffline) {
+          // Requests in progress are bound to fail, so they're made again
+          // once the browser is back online
+          if (source.xhrRequests.length || source.retryTimeout) {
+            this._clearDataRequests(source);
+            source.isFetchingSuspended = true;
+
+            this._setSourceState(source, {
+              isFetchingData: false,
+              nextRetryAt: null
+            });
+          }
+
+          if (source.isPolling) {
+            this._clearPolling(source);
+            source.isPollingPaused = true;
+          }
+          return;
+        }
+
+        var wasSuspended = source.isFetchingSuspended;
+
+        if (wasSuspended) {
+          source.isFetchingSuspended = false;
+          this._resetData(source, this.props, {
+            priority: requestQueue.HIGH_PRIORITY
+          });
+        }
+
+        if (source.isPollingPaused && !this._shouldPauseWhenHidden()) {
+          source.isPollingPaused = false;
+
+          // The data is likely outdated after a while offline
+          if (!wasSuspended) {
+            this._poll(source, requestQueue.HIGH_PRIORITY);
+          }
+
+          this._startPolling(source, this.props);
+        }
+      }, this);
+    },
+
+    _updatePollBackoff: function(source, status) {
+      /**
+       * Keep track of consecutive errors and restart polling whenever the
+       * poll interval needs to change as a result.
+       *
+       * @param {Object} source
+       * @param {String} status The final status of a request.
+       */
+      if (status === 'abort') {
+        return;
+      }
+
+      var prevInterval = this._getPollInterval(source, this.props);
+
+      if (SUCCESS_STATUSES.indexOf(status) !== -1) {
+        source.pollErrorCount = 0;
+      } else {
+        source.pollErrorCount++;
+      }
+
+      // Chained polling picks up the new interval when scheduling the next poll
+      if (source.pollInterval &&
+          this._getPollInterval(source, this.props) !== prevInterval) {
+        this._clearPolling(source);
+        this._startPolling(source, this.props);
+      }
+    },
+
+    _getPollInterval: function(source, props) {
+      return polling.getPollInterval(adaptivePollingOptions,
+                                     this._getSourcePollInterval(source,
+                                                                 props),
+                                     source.pollErrorCount);
+    },
+
+    _getSourcePollInterval: function(source, props) {
+      if (source.key === sources.DEFAULT_KEY) {
+        return props.pollInterval;
+      }
+
+      var definition = this._getSourceDefinition(source, props);
+
+      return definition && definition.pollInterval !== undefined ?
+          definition.pollInterval : props.pollInterval;
+    },
+
+    _shouldRefetchData: function(source, props, nextProps) {
+      if (typeof(this.shouldRefetchData) === 'function') {
+        return Boolean(source.key === sources.DEFAULT_KEY ?
+            this.shouldRefetchData(props, nextProps) :
+            this.shouldRefetchData(props, nextProps, source.key));
+      }
+
+      return !dataRequests.isEqual(this._getSourceRequest(source, props),
+                                   this._getSourceRequest(source, nextProps));
+    },
+
+    _getDataUrl: function(props) {
+      // The initial page is the data URL in paginated mode
+      if (typeof(this.getPageUrl) === 'function') {
+        return this.getPageUrl(props, this._getInitialPage(props));
+      }
+
+      return typeof(this.getDataUrl) === 'function' ?
+          this.getDataUrl(props) : props.dataUrl;
+    },
+
+    _isPaginated: function(source) {
+      return source.key === sources.DEFAULT_KEY &&
+             typeof(this.getPageUrl) === 'function';
+    },
+
+    _getInitialPage: function(props) {
+      return props.initialPage !== undefined ? props.initialPage : 1;
+    },
+
+    _loadPage: function(direction) {
+      var source = this._dataSources[sources.DEFAULT_KEY];
+
+      if (!source || !this._isPaginated(source) || !source.pages.length ||
+          source.isFetchingPage) {
+        return;
+      }
+
+      var page = direction === 'next' ?
+          this._getAdjacentPage('next', source.pages[source.pages.length - 1]) :
+          this._getAdjacentPage('previous', source.pages[0]);
+
+      if (page !== null && page !== undefined) {
+        this._fetchPage(source, page, direction);
+      }
+    },
+
+    _getAdjacentPage: function(direction, entry) {
+      /**
+       * @param {String} direction "next" or "previous".
+       * @param {Object} entry A loaded page.
+       *
+       * @returns {*} The page key, or null if there's no such page.
+       */
+      if (direction === 'next') {
+        return typeof(this.getNextPage) === 'function' ?
+            this.getNextPage(entry.data, entry.page) :
+            pagination.getNextPage(entry.data, entry.page);
+      }
+
+      return typeof(this.getPreviousPage) === 'function' ?
+          this.getPreviousPage(entry.data, entry.page) :
+          pagination.getPreviousPage(entry.data, entry.page);
+    },
+
+    _fetchPage: function(source, page, position) {
+      /**
+       * Fetch a page other than the initial one, which goes through
+       * _fetchDataFromServer like any other data request.
+       *
+       * @param {Object} source
+       * @param {*} page
+       * @param {String} position "next", "previous" or "refresh".
+       */
+      var dataRequest = dataRequests.normalize({
+            url: this.getPageUrl(this.props, page)
+          }),
+          isRefresh = position === 'refresh',
+          requestedAt = Date.now(),
+          instance = this,
+          request;
+
+      if (!isRefresh) {
+        source.isFetchingPage = true;
+
+        this.setState({
+          isFetchingPage: true,
+          pageError: null
+        });
+      }
+
+      var onPageError = function(pageError) {
+        if (!isRefresh) {
+          source.isFetchingPage = false;
+        }
+
+        instance.setState({
+          isFetchingPage: source.isFetchingPage,
+          pageError: extend({page: page}, pageError)
+        });
+      };
+
+      request = this._sendRequest(dataRequest, {
+        complete: function() {
+          source.xhrRequests = source.xhrRequests.filter(function(xhrRequest) {
+            return xhrRequest !== request;
+          });
+
+          // Chained polls wait for page requests as well, so the next one is
+          // scheduled once the last request in flight completes
+          if (options.chainedPolling && !instance._ignoreXhrRequestCallbacks) {
+            instance._scheduleNextPoll(source);
+          }
+        },
+        success: function(rawData) {
+          var result = instance._processData(source, dataRequest,
+                                             instance.props, rawData,
+                                             requestedAt);
+
+          if (result.dataError) {
+            onPageError(result.dataError);
+          } else {
+            instance._receivePage(source, page, position, result.data);
+          }
+        },
+        error: function(xhr, status, err) {
+          if (instance._ignoreXhrRequestCallbacks) {
+            return;
+          }
+
+          // Page requests are only aborted when the data is reset, which
+          // makes them irrelevant
+          if (status === 'abort') {
+            source.isFetchingPage = false;
+            instance.setState({
+              isFetchingPage: false
+            });
+            return;
+          }
+
+          onPageError(dataErrors.fromRequest(dataRequest, requestedAt, xhr,
+                                             status, err));
+
+          options.onError.call(this, xhr, status, err);
+        }
+      }, {
+        priority: isRefresh ? requestQueue.LOW_PRIORITY :
+                              requestQueue.HIGH_PRIORITY
+      });
+
+      source.xhrRequests.push(request);
+    },
+
+    _receivePage: function(source, page, position, data) {
+      /**
+       * @param {Object} source
+       * @param {*} page
+       * @param {String} position Where the page goes, see
+       *     pagination.addPage.
+       * @param {*} data Processed page data.
+       */
+      source.pages = pagination.addPage(source.pages, {
+        page: page,
+        data: data
+      }, position);
+
+      var lastPage = source.pages[source.pages.length - 1],
+          nextPage = this._getAdjacentPage('next', lastPage),
+          previousPage = this._getAdjacentPage('previous', source.pages[0]),
+          pageState = {
+            hasMore: nextPage !== null && nextPage !== undefined,
+            hasPrevious: previousPage !== null && previousPage !== undefined
+          };
+
+      // Refreshing loaded pages doesn't affect the loading of new ones
+      if (position !== 'refresh') {
+        source.isFetchingPage = false;
+
+        pageState.isFetchingPage = false;
+        pageState.pageError = null;
+      }
+
+      this.setState(pageState);
+
+      this.receiveDataFromServer(this._mergePages(source.pages));
+    },
+
+    _mergePages: function(pages) {
+      var pagesData = pages.map(function(entry) {
+        return entry.data;
+      });
+
+      return typeof(this.mergePages) === 'function' ?
+          this.mergePages(pagesData) : pagination.mergePages(pagesData);
+    },
+
+    _getDataRequest: function(props) {
+      /**
+       * @returns {Object|null} The normalized data request, or null if there
+       *     is no URL to fetch data from.
+       */
+      var dataRequest = typeof(this.getDataRequest) === 'function' ?
+          this.getDataRequest(props) : props.dataRequest;
+
+      var url = dataRequest && dataRequest.url || this._getDataUrl(props);
+
+      if (!url) {
+        return null;
+      }
+
+      return dataRequests.normalize(extend({}, dataRequest, {url: url}));
+    },
+
+    _getSourceDefinition: function(source, props) {
+      var dataSources = this._getDataSources(props);
+
+      if (!dataSources || !dataSources[source.key]) {
+        return null;
+      }
+
+      return sources.normalizeDefinition(dataSources[source.key]);
+    },
+
+    _getSourceSchema: function(source, props) {
+      if (source.key === sources.DEFAULT_KEY) {
+        return props.dataSchema || this.dataSchema || null;
+      }
+
+      var definition = this._getSourceDefinition(source, props);
+
+      return definition && definition.schema || null;
+    },
+
+    _getSourceRequest: function(source, props) {
+      /**
+       * @returns {Object|null} The normalized data request of a source, or
+       *     null if there is no URL to fetch its data from.
+       */
+      if (source.key === sources.DEFAULT_KEY) {
+        return this._getDataRequest(props);
+      }
+
+      var definition = this._getSourceDefinition(source, props),
+          url = definition && definition.url;
+
+      if (typeof(url) === 'function') {
+        var dependencyData = this._getDependencyData(definition);
+
+        // Sources are skipped until their dependencies resolve
+        url = dependencyData && url(props, dependencyData);
+      }
+
+      return url ? dataRequests.normalize(extend({}, definition, {
+        url: url
+      })) : null;
+    },
+
+    _isCacheable: function(dataRequest) {
+      return Boolean(options.cache) && dataRequest.method === 'GET';
+    },
+
+    _isPersistable: function(dataRequest) {
+      return Boolean(options.persistence) && dataRequest.method === 'GET';
+    },
+
+    _fetchDataFromServer: function(source, dataRequest, onSuccess,
+                                   fetchOptions) {
+      /**
+       * @param {Object} source
+       * @param {Object} dataRequest Normalized data request.
+       * @param {Function} onSuccess
+       * @param {Object} [fetchOptions]
+       * @param {Number} [fetchOptions.retryCount=0] Number of retries made so
+       *     far for this data, when the request is itself a retry.
+       * @param {Number} [fetchOptions.timeout] Time in milliseconds after
+       *     which the request is aborted and reported as a timeout, unless
+       *     the data request sets its own.
+       * @param {Number} [fetchOptions.priority] Priority of the request in
+       *     the request queue.
+       * @param {Bool} [fetchOptions.isPoll=false] Whether the request is a
+       *     poll, which revalidates data in the background when
+       *     structurally equal data isn't set again.
+       */
+      fetchOptions = fetchOptions || {};
+
+      var retryCount = fetchOptions.retryCount || 0,
+          validators = this._getValidators(source, dataRequest),
+          isRevalidation = Boolean(validators) ||
+                           fetchOptions.isPoll && this._isRevalidating(source);
+
+      // A new request supersedes any retry scheduled for a previous one
+      this._clearRetry(source);
+
+      if (validators) {
+        dataRequest = extend({}, dataRequest, {
+          headers: extend({}, dataRequest.headers,
+                          this._getConditionalHeaders(validators))
+        });
+      }
+
+      // Revalidating data that is already in place shouldn't cause a
+      // re-render unless it changed
+      if (!isRevalidation) {
+        this._setSourceState(source, {
+          isFetchingData: true,
+          dataError: null,
+          retryCount: retryCount,
+          nextRetryAt: null
+        });
+      }
+
+      var request,
+          requestHandle,
+          isSuperseded = false,
+          onComplete,
+          onError;
+
+      var url = dataRequest.url,
+          requestedAt = Date.now(),
+          sequence = ++source.requestSequence,
+          receiveData = onSuccess,
+          instance = this;
+
+      source.requestUrl = url;
+      source.isFetchingLatest = true;
+
+      if (this._shouldProcessData(source, this.props)) {
+        onSuccess = this._receiveProcessedData.bind(this, source, dataRequest,
+                                                    requestedAt, onSuccess);
+      }
+
+      onSuccess = this._receiveUnlessMutating.bind(this, source, onSuccess);
+
+      if (this._isCacheable(dataRequest)) {
+        onSuccess = this._cacheResponse.bind(this, url, onSuccess);
+      }
+
+      if (this._isPersistable(dataRequest)) {
+        onSuccess = this._persistResponse.bind(this, url, onSuccess);
+      }
+
+      if (options.conditionalRequests) {
+        onSuccess = this._receiveUnlessNotModified.bind(this, source, url,
+                                                        Boolean(validators),
+                                                        onSuccess);
+      }
+
+      // Late responses to superseded requests, e.g. for a previous data URL,
+      // would overwrite the data of the current one. Responses to overlapping
+      // requests, e.g. slow polls, would roll back data received from newer
+      // ones
+      var receiveResponse = onSuccess;
+      onSuccess = function() {
+        if (isSuperseded || sequence < source.appliedSequence) {
+          return;
+        }
+
+        source.appliedSequence = sequence;
+        instance._settleRequest(source, sequence);
+
+        receiveResponse.apply(this, arguments);
+      };
+
+      /**
+       * @param {Object} xhr jqXHR-like object.
+       * @param {String} status The final status of the request.
+       */
+      onComplete = function(xhr, status) {
+        source.xhrRequests = source.xhrRequests.filter(function(xhrRequest) {
+          return xhrRequest !== requestHandle;
+        });
+
+        if (this._ignoreXhrRequestCallbacks) {
+          return;
+        }
+
+        if (adaptivePollingOptions) {
+          this._updatePollBackoff(source, status);
+        }
+
+        if (options.chainedPolling) {
+          this._scheduleNextPoll(source);
+        }
+      };
+
+      /**
+       * @this {Object} Transport context, e.g. the $.ajax settings.
+       *
+       * @param {Object} xhr jqXHR-like object.
+       * @param {String} status The type of error.
+       * @param {String} err The error message.
+       */
+      onError = function(xhr, status, err) {
+        // Requests we aborted were replaced or stopped, and newer ones
+        // supersede the rest, so their errors are no longer relevant
+        if (instance._ignoreXhrRequestCallbacks || isSuperseded ||
+            sequence < source.requestSequence) {
+          return;
+        }
+
+        instance._settleRequest(source, sequence);
+
+        var nextRetryAt = null,
+            dataError;
+
+        // Only data that was received successfully can be revalidated
+        source.validators = null;
+
+        if (retryOptions &&
+            retry.shouldRetry(retryOptions, retryCount, xhr, status, err)) {
+          nextRetryAt = instance._scheduleRetry(source, dataRequest,
+                                                receiveData, retryCount);
+        }
+
+        dataError = dataErrors.fromRequest(dataRequest, requestedAt, xhr,
+                                           status, err);
+
+        // A custom retry predicate decides what's worth asking again for
+        if (retryOptions) {
+          dataError.retryable = retry.isRetryable(retryOptions, xhr, status,
+                                                  err);
+        }
+
+        if (source.key !== sources.DEFAULT_KEY) {
+          dataError.source = source.key;
+        }
+
+        instance._setSourceState(source, {
+          isFetchingData: source.isFetchingLatest,
+          dataError: dataError,
+          nextRetryAt: nextRetryAt
+        });
+
+        options.onError.call(this, xhr, status, err);
+      };
+
+      request = this._sendRequest(dataRequest, {
+        complete: onComplete.bind(this),
+        success: onSuccess,
+        error: onError
+      }, {
+        timeout: fetchOptions.timeout,
+        priority: fetchOptions.priority
+      });
+
+      requestHandle = {
+        abort: function() {
+          isSuperseded = true;
+          request.abort();
+        }
+      };
+
+      source.xhrRequests.push(requestHandle);
+    },
+
+    _isRevalidating: function(source) {
+      /**
+       * @returns {Bool} Whether polls only update the state of a source if
+       *     they receive data that changed, which is when structurally equal
+       *     data isn't set again and the source has error-free data in place.
+       */
+      return Boolean(options.structuralSharing) &&
+             this._getSourceData(source) !== undefined &&
+             !this._getSourceStatus(source).dataError;
+    },
+
+    _sendRequest: function(dataRequest, callbacks, sendOptions) {
+      /**
+       * Send a request through the transport, and the request queue if there
+       * is one.
+       *
+       * @param {Object} dataRequest Normalized data request.
+       * @param {Object} callbacks The success, error and complete callbacks
+       *     of the transport.
+       * @param {Object} [sendOptions]
+       * @param {Number} [sendOptions.timeout] Default timeout, used unless
+       *     the data request sets its own.
+       * @param {Number} [sendOptions.priority]
+       *
+       * @returns {Object} The request, exposing an abort method.
+       */
+      sendOptions = sendOptions || {};
+
+      var timeout = dataRequest.timeout || sendOptions.timeout ||
+                    options.timeout,
+          requestTimeout,
+          isComplete = false,
+          timedOut = false;
+
+      var request = {
+        method: dataRequest.method,
+        headers: dataRequest.headers,
+        body: dataRequest.body,
+        withCredentials: options.crossDomain,
+        success: callbacks.success,
+        error: function(xhr, status, err) {
+          // The request was aborted by us because it took too long
+          if (timedOut) {
+            status = err = 'timeout';
+          }
+
+          callbacks.error.call(this, xhr, status, err);
+        },
+        complete: function(xhr, status) {
+          isComplete = true;
+          clearTimeout(requestTimeout);
+
+          callbacks.complete.call(this, xhr, timedOut ? 'timeout' : status);
+        }
+      };
+
+      // Time spent waiting in the queue doesn't count towards the timeout
+      var send = function(url, queuedRequest) {
+        var sentRequest = transport(url, queuedRequest);
+
+        if (timeout > 0 && !isComplete) {
+          requestTimeout = setTimeout(function() {
+            timedOut = true;
+            sentRequest.abort();
+          }, timeout);
+        }
+
+        return sentRequest;
+      };
+
+      if (!options.queue) {
+        return send(dataRequest.url, request);
+      }
+
+      return options.queue.send(send, dataRequest.url, request,
+                                sendOptions.priority);
+    },
+
+    _settleRequest: function(source, sequence) {
+      // Data is still being fetched until the latest request settles
+      if (sequence === source.requestSequence) {
+        source.isFetchingLatest = false;
+      }
+    },
+
+    _getValidators: function(source, dataRequest) {
+      /**
+       * @returns {Object|null} The validators to send along with the data
+       *     request, if the source has any for the requested URL.
+       */
+      var validators = source.validators;
+
+      if (!options.conditionalRequests || dataRequest.method !== 'GET' ||
+          !validators || validators.url !== dataRequest.url) {
+        return null;
+      }
+
+      return validators;
+    },
+
+    _getConditionalHeaders: function(validators) {
+      var headers = {};
+
+      if (validators.etag) {
+        headers['If-None-Match'] = validators.etag;
+      }
+
+      if (validators.lastModified) {
+        headers['If-Modified-Since'] = validators.lastModified;
+      }
+
+      return headers;
+    },
+
+    _receiveUnlessNotModified: function(source, url, isRevalidation, onSuccess,
+                                        data, status, xhr) {
+      if (status === 'notmodified' || xhr && xhr.status === 304) {
+        // Data we didn't revalidate ourselves, e.g. through the browser
+        // cache, isn't in the state to be kept
+        if (!isRevalidation) {
+          this._setSourceState(source, {
+            isFetchingData: source.isFetchingLatest
+          });
+        }
+        return;
+      }
+
+      var etag = xhr && xhr.getResponseHeader ?
+              xhr.getResponseHeader('ETag') : null,
+          lastModified = xhr && xhr.getResponseHeader ?
+              xhr.getResponseHeader('Last-Modified') : null;
+
+      source.validators = etag || lastModified ? {
+        url: url,
+        etag: etag,
+        lastModified: lastModified
+      } : null;
+
+      onSuccess.apply(this, Array.prototype.slice.call(arguments, 4));
+    },
+
+    _scheduleRetry: function(source, dataRequest, onSuccess, retryCount) {
+      /**
+       * @returns {Number} The timestamp at which the retry will be made.
+       */
+      var delay = retry.getRetryDelay(retryOptions, retryCount);
+
+      source.retryTimeout = setTimeout(function() {
+        source.retryTimeout = null;
+        this._fetchDataFromServer(source, dataRequest, onSuccess, {
+          retryCount: retryCount + 1
+        });
+      }.bind(this), delay);
+
+      return Date.now() + delay;
+    },
+
+    _cacheResponse: function(url, onSuccess, data) {
+      options.cache.set(url, data);
+
+      onSuccess.apply(this, Array.prototype.slice.call(arguments, 2));
+    },
+
+    _persistResponse: function(url, onSuccess, data) {
+      options.persistence.set(url, data);
+
+      onSuccess.apply(this, Array.prototype.slice.call(arguments, 2));
+    },
+
+    _getDataStreamUrl: function(props) {
+      // Streams push the data of the default source, which components with
+      // named sources don't have
+      if (this._getDataSources(props)) {
+        return null;
+      }
+
+      return typeof(this.getDataStreamUrl) === 'function' ?
+          this.getDataStreamUrl(props) : props.dataStreamUrl;
+    },
+
+    _openStream: function(url) {
+      if (!url) {
+        return;
+      }
+
+      this._stream = {
+        url: url,
+        connection: null,
+        isOpen: false,
+        reconnectCount: 0,
+        reconnectTimeout: null
+      };
+
+      this._connectStream(this._stream);
+    },
+
+    _connectStream: function(stream) {
+      var streamTransport = options.streamTransport ||
+                            streaming.getStreamTransport(stream.url),
+          instance = this;
+
+      // Callbacks of connections we closed or replaced are no longer relevant
+      var isCurrent = function() {
+        return instance._stream === stream;
+      };
+
+      stream.reconnectTimeout = null;
+
+      this.setState({
+        streamStatus: 'connecting'
+      });
+
+      stream.connection = streamTransport(stream.url, {
+        withCredentials: options.crossDomain,
+        open: function() {
+          if (!isCurrent()) {
+            return;
+          }
+
+          stream.isOpen = true;
+          stream.reconnectCount = 0;
+
+          // Pushed data makes polling redundant
+          instance._getSources(sources.DEFAULT_KEY)
+                  .forEach(instance._clearPolling, instance);
+
+          instance.setState({
+            streamStatus: 'open'
+          });
+        },
+        message: function(message) {
+          if (isCurrent()) {
+            instance._receiveStreamMessage(message);
+          }
+        },
+        close: function() {
+          if (!isCurrent()) {
+            return;
+          }
+
+          var delay = streaming.getReconnectDelay(reconnectOptions,
+                                                  stream.reconnectCount);
+
+          stream.isOpen = false;
+          stream.connection = null;
+          stream.reconnectCount++;
+          stream.reconnectTimeout = setTimeout(
+              instance._connectStream.bind(instance, stream), delay);
+
+          instance.setState({
+            streamStatus: 'disconnected'
+          });
+
+          instance._resumeFallbackPolling(instance.props);
+        }
+      });
+    },
+
+    _closeStream: function(props) {
+      /**
+       * @param {Object} [props] Props to resume polling with, if the stream
+       *     was holding it back. Polling isn't resumed without them.
+       */
+      var stream = this._stream;
+
+      if (!stream) {
+        return;
+      }
+
+      this._stream = null;
+
+      clearTimeout(stream.reconnectTimeout);
+
+      if (stream.connection) {
+        stream.connection.close();
+      }
+
+      if (props) {
+        this.setState({
+          streamStatus: null
+        });
+
+        if (stream.isOpen) {
+          this._resumeFallbackPolling(props);
+        }
+      }
+    },
+
+    _resumeFallbackPolling: function(props) {
+      this._getSources(sources.DEFAULT_KEY).forEach(function(source) {
+        if (!source.isPolling && !source.isPollingPaused &&
+            this._shouldWePoll(source, props)) {
+          this._startPolling(source, props);
+        }
+      }, this);
+    },
+
+    _receiveStreamMessage: function(message) {
+      var source = this._dataSources[sources.DEFAULT_KEY],
+          data;
+
+      if (typeof(this.reduceStreamData) === 'function') {
+        data = this.reduceStreamData(this._getSourceData(source), message,
+                                     this.props);
+      } else {
+        var result = this._processData(source, dataRequests.normalize({
+          url: this._stream.url
+        }), this.props, message, Date.now());
+
+        if (result.dataError) {
+          this.setState({
+            dataError: result.dataError
+          });
+          return;
+        }
+
+        data = result.data;
+      }
+
+      // Pushed data is received like the responses of data requests
+      this._receiveUnlessMutating(source, this.receiveDataFromServer, data);
+    },
+
+    _shouldWePoll: function(source, props) {
+      // The default source only falls back to polling while its data stream
+      // is disconnected
+      if (source.key === sources.DEFAULT_KEY && this._stream &&
+          this._stream.isOpen) {
+        return false;
+      }
+
+      return this._getSourcePollInterval(source, props) > 0;
     }
   };
 };
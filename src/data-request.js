@@ -0,0 +1,94 @@
+var extend = require('./utils.js').extend;
+
+/**
+ * A data request describes how data is fetched, beyond its URL.
+ * @typedef {Object} DataRequest
+ *
+ * @param {String} url
+ * @param {String} [method='GET']
+ * @param {Object} [headers] Header values indexed by name.
+ * @param {Object} [params] Query string params, appended to the URL.
+ * @param {Object|String} [body] Request payload. Objects are sent as JSON.
+ * @param {Number} [timeout] Time in milliseconds after which the request is
+ *     aborted and reported as a timeout error, instead of the mixin's default.
+ */
+
+var encodeParams = function(params) {
+  return Object.keys(params).filter(function(key) {
+    return params[key] !== undefined && params[key] !== null;
+  }).map(function(key) {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+  }).join('&');
+};
+
+var serializeHeaders = function(headers) {
+  return JSON.stringify(headers, Object.keys(headers).sort());
+};
+
+/**
+ * @param {String} url
+ * @param {Object} [params]
+ *
+ * @returns {String} The URL with the params appended to its query string.
+ */
+exports.buildUrl = function(url, params) {
+  var query = params ? encodeParams(params) : '';
+
+  if (!query) {
+    return url;
+  }
+
+  return url + (url.indexOf('?') === -1 ? '?' : '&') + query;
+};
+
+/**
+ * Turn a data request into what a transport expects: params are merged into
+ * the URL and object bodies are serialized as JSON.
+ *
+ * @param {DataRequest} dataRequest
+ *
+ * @returns {Object} Normalized request, with url, method, headers and body,
+ *     plus the timeout if there is one.
+ */
+exports.normalize = function(dataRequest) {
+  var headers = extend({}, dataRequest.headers),
+      body = dataRequest.body;
+
+  if (body !== undefined && body !== null && typeof body !== 'string') {
+    body = JSON.stringify(body);
+
+    if (!headers['Content-Type']) {
+      headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  var normalized = {
+    url: exports.buildUrl(dataRequest.url, dataRequest.params),
+    method: (dataRequest.method || 'GET').toUpperCase(),
+    headers: headers,
+    body: body === null ? undefined : body
+  };
+
+  if (dataRequest.timeout > 0) {
+    normalized.timeout = dataRequest.timeout;
+  }
+
+  return normalized;
+};
+
+/**
+ * @param {Object|null} a Normalized request.
+ * @param {Object|null} b Normalized request.
+ *
+ * @returns {Bool}
+ */
+exports.isEqual = function(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+
+  return a.url === b.url &&
+         a.method === b.method &&
+         a.body === b.body &&
+         serializeHeaders(a.headers) === serializeHeaders(b.headers);
+};
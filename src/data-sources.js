@@ -0,0 +1,152 @@
+var extend = require('./utils.js').extend;
+
+/**
+ * Components can fetch data from more than one endpoint by declaring named
+ * data sources. Each source gets its own key under state.data, and its own
+ * status under state.dataStatus, while the top level isFetchingData and
+ * dataError aggregate the status of all sources.
+ *
+ * Components without named sources have a single, default source, which
+ * populates the top level state keys directly.
+ */
+
+exports.DEFAULT_KEY = '';
+
+/**
+ * Runtime bookkeeping of a data source, kept on the component instance.
+ *
+ * @param {String} key
+ *
+ * @returns {Object}
+ */
+exports.createSource = function(key) {
+  return {
+    key: key,
+    xhrRequests: [],
+    retryTimeout: null,
+    pollInterval: null,
+    pollTimeout: null,
+    pollProps: null,
+    pollErrorCount: 0,
+    isPolling: false,
+    isPollingPaused: false,
+    // Data requests made while offline wait for the browser to be back online
+    isFetchingSuspended: false,
+    // Loaded pages, in paginated mode
+    pages: [],
+    isFetchingPage: false,
+    // Data requests are numbered in order, so that responses older than the
+    // data already received can be told apart
+    requestSequence: 0,
+    appliedSequence: 0,
+    isFetchingLatest: false,
+    // URL of the latest data request. Responses to older ones are dropped,
+    // so it's also the URL of any data received
+    requestUrl: null,
+    // ETag and Last-Modified of the latest response, along with its URL
+    validators: null,
+    // Pending optimistic mutations, applied in order on top of the data that
+    // was there before the first of them started
+    mutations: [],
+    mutationBase: null,
+    refetchAfterMutations: false,
+    // Latest data and error of a named source, which the requests of the
+    // sources that depend on it are resolved from
+    data: undefined,
+    dataError: null,
+    // Whether the sources that depend on this one are refreshed once its data
+    // arrives, even if their requests didn't change
+    isCascading: false
+  };
+};
+
+/**
+ * @param {String|Object} definition A URL, or a data request with an optional
+ *     pollInterval. Sources that depend on others list their keys under
+ *     dependsOn, and resolve their URL through a function that receives the
+ *     props and the data of those sources, indexed by key.
+ *
+ * @returns {Object} The definition as an object.
+ */
+exports.normalizeDefinition = function(definition) {
+  return typeof definition === 'string' ? {url: definition} : definition;
+};
+
+/**
+ * @param {Object|null} definition Normalized source definition.
+ *
+ * @returns {String[]} The keys of the sources it depends on.
+ */
+exports.getDependencies = function(definition) {
+  return definition && definition.dependsOn || [];
+};
+
+var getAggregateState = function(dataStatus) {
+  var keys = Object.keys(dataStatus),
+      dataError = null;
+
+  for (var i = 0; i < keys.length && !dataError; i++) {
+    dataError = dataStatus[keys[i]].dataError;
+  }
+
+  return {
+    isFetchingData: keys.some(function(key) {
+      return dataStatus[key].isFetchingData;
+    }),
+    dataError: dataError
+  };
+};
+
+/**
+ * @param {Object} state The current component state.
+ * @param {String} key The source key.
+ * @param {Object} update Data and/or status changes of the source.
+ *
+ * @returns {Object} The state changes of the component.
+ */
+exports.mergeSourceState = function(state, key, update) {
+  var data = state.data || {},
+      dataStatus = extend({}, state.dataStatus),
+      status = extend({
+        isFetchingData: false,
+        dataError: null,
+        retryCount: 0,
+        nextRetryAt: null
+      }, dataStatus[key]);
+
+  Object.keys(update).forEach(function(name) {
+    if (name !== 'data') {
+      status[name] = update[name];
+    } else if (!data.hasOwnProperty(key) || data[key] !== update.data) {
+      // Data that didn't change keeps its identity
+      data = extend({}, data);
+      data[key] = update.data;
+    }
+  });
+
+  dataStatus[key] = status;
+
+  return extend({
+    data: data,
+    dataStatus: dataStatus
+  }, getAggregateState(dataStatus));
+};
+
+/**
+ * @param {Object} state The current component state.
+ * @param {String} key The key of the removed source.
+ *
+ * @returns {Object} The state changes of the component.
+ */
+exports.removeSourceState = function(state, key) {
+  var data = extend({}, state.data),
+      dataStatus = extend({}, state.dataStatus);
+
+  delete data[key];
+  delete dataStatus[key];
+
+  return extend({
+    data: data,
+    dataStatus: dataStatus
+  }, getAggregateState(dataStatus));
+};
@@ -0,0 +1,135 @@
+/**
+ * Transport decorator that coalesces concurrent GET requests for the same URL
+ * into a single network request, fanning out its outcome to every subscriber.
+ *
+ * Each call returns a subscription that can be aborted individually. The
+ * underlying request is only aborted once all of its subscribers are gone.
+ */
+
+// Decorated transports are reused so that every mixin factory built on top of
+// the same transport shares the same in-flight requests
+var decorated = [];
+
+var getRequestKey = function(url, request) {
+  var headers = request.headers || {};
+
+  return [
+    url,
+    Boolean(request.withCredentials),
+    JSON.stringify(headers, Object.keys(headers).sort())
+  ].join('|');
+};
+
+var createDedupedTransport = function(transport) {
+  var inFlight = {};
+
+  var release = function(key, entry) {
+    entry.finished = true;
+
+    if (inFlight[key] === entry) {
+      delete inFlight[key];
+    }
+  };
+
+  var fanOut = function(key, entry, callbackName) {
+    return function() {
+      var context = this,
+          args = arguments;
+
+      // Subscribers that aborted have been removed from the list already, so
+      // there's nobody to notify about the final abort of the shared request
+      if (entry.finished) {
+        return;
+      }
+
+      if (callbackName === 'complete') {
+        release(key, entry);
+      }
+
+      entry.subscribers.slice().forEach(function(subscriber) {
+        subscriber[callbackName].apply(context, args);
+      });
+    };
+  };
+
+  return function(url, request) {
+    if (request.method !== 'GET') {
+      return transport(url, request);
+    }
+
+    var key = getRequestKey(url, request),
+        entry = inFlight[key],
+        isNewRequest = !entry;
+
+    if (isNewRequest) {
+      entry = inFlight[key] = {
+        subscribers: [],
+        finished: false
+      };
+    }
+
+    var subscriber = {
+      success: request.success,
+      error: request.error,
+      complete: request.complete
+    };
+
+    // Subscribe before sending, in case the transport calls back synchronously
+    entry.subscribers.push(subscriber);
+
+    if (isNewRequest) {
+      entry.request = transport(url, {
+        method: request.method,
+        headers: request.headers,
+        withCredentials: request.withCredentials,
+        success: fanOut(key, entry, 'success'),
+        error: fanOut(key, entry, 'error'),
+        complete: fanOut(key, entry, 'complete')
+      });
+    }
+
+    return {
+      abort: function() {
+        var index = entry.subscribers.indexOf(subscriber);
+
+        if (entry.finished || index === -1) {
+          return;
+        }
+
+        entry.subscribers.splice(index, 1);
+
+        var xhr = {status: 0, statusText: 'abort'};
+        subscriber.error(xhr, 'abort', 'abort');
+        subscriber.complete(xhr, 'abort');
+
+        if (entry.subscribers.length === 0) {
+          release(key, entry);
+
+          entry.request.abort();
+        }
+      }
+    };
+  };
+};
+
+/**
+ * @param {Transport} transport
+ *
+ * @returns {Transport}
+ */
+module.exports = function(transport) {
+  for (var i = 0; i < decorated.length; i++) {
+    if (decorated[i].transport === transport) {
+      return decorated[i].dedupedTransport;
+    }
+  }
+
+  var dedupedTransport = createDedupedTransport(transport);
+
+  decorated.push({
+    transport: transport,
+    dedupedTransport: dedupedTransport
+  });
+
+  return dedupedTransport;
+};
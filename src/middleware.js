@@ -0,0 +1,149 @@
+var extend = require('./utils.js').extend;
+
+/**
+ * A function that takes part in every request made through the transport it
+ * is applied to. Middleware can be asynchronous, since requests and responses
+ * are passed along through callbacks.
+ * @typedef {Function} Middleware
+ *
+ * @param {Object} request A copy of the outgoing request, which can be
+ *     altered freely.
+ * @param {String} request.url
+ * @param {String} request.method
+ * @param {Object} request.headers
+ * @param {String} [request.body]
+ * @param {Bool} request.withCredentials
+ * @param {Function} next Sends a request down the chain, e.g. next(request,
+ *     done). It receives the request and a callback that is called with the
+ *     response. It can be called more than once, e.g. to retry the request.
+ * @param {Function} done Called with the response of this middleware, which
+ *     can be the one received from next, or a different one altogether.
+ */
+
+/**
+ * Responses are passed around as objects describing either outcome of the
+ * transport's callbacks.
+ * @typedef {Object} MiddlewareResponse
+ *
+ * @param {Bool} ok Whether the request succeeded.
+ * @param {*} [data] The parsed JSON response, when successful.
+ * @param {Object} xhr jqXHR-like object.
+ * @param {String} status The final status of the request, e.g. 'success' or
+ *     'error'.
+ * @param {String|Error} [err] The error message, when failed.
+ */
+
+var ABORT_RESPONSE = {
+  ok: false,
+  xhr: {status: 0, statusText: 'abort'},
+  status: 'abort',
+  err: 'abort'
+};
+
+/**
+ * Decorate a transport with an ordered chain of middleware. The first
+ * middleware is the first to see the request and the last to see the
+ * response.
+ *
+ * @param {Transport} transport
+ * @param {Middleware[]} middleware
+ *
+ * @returns {Transport}
+ */
+module.exports = function(transport, middleware) {
+  return function(url, request) {
+    var pendingRequest = null,
+        isAborted = false,
+        isFinished = false;
+
+    var finish = function(response) {
+      if (isFinished) {
+        return;
+      }
+
+      isFinished = true;
+
+      if (response.ok) {
+        request.success(response.data, response.status, response.xhr);
+      } else {
+        request.error(response.xhr, response.status, response.err);
+      }
+
+      request.complete(response.xhr, response.status);
+    };
+
+    var send = function(chainedRequest, callback) {
+      pendingRequest = transport(chainedRequest.url, {
+        method: chainedRequest.method,
+        headers: chainedRequest.headers,
+        body: chainedRequest.body,
+        withCredentials: chainedRequest.withCredentials,
+        success: function(data, status, xhr) {
+          callback({
+            ok: true,
+            data: data,
+            xhr: xhr || {},
+            status: status || 'success'
+          });
+        },
+        error: function(xhr, status, err) {
+          callback({
+            ok: false,
+            xhr: xhr,
+            status: status,
+            err: err
+          });
+        },
+        complete: function() {}
+      });
+    };
+
+    var dispatch = function(index, chainedRequest, callback) {
+      // Nothing is sent anymore once the request was aborted
+      if (isAborted) {
+        return;
+      }
+
+      // Every middleware gets its own copy, so changes made further down
+      // the chain don't leak back
+      chainedRequest = extend({}, chainedRequest, {
+        headers: extend({}, chainedRequest.headers)
+      });
+
+      if (index === middleware.length) {
+        send(chainedRequest, callback);
+        return;
+      }
+
+      middleware[index](chainedRequest, function(nextRequest, nextCallback) {
+        dispatch(index + 1, nextRequest, nextCallback);
+      }, callback);
+    };
+
+    dispatch(0, {
+      url: url,
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      withCredentials: request.withCredentials
+    }, finish);
+
+    return {
+      abort: function() {
+        if (isFinished) {
+          return;
+        }
+
+        isAborted = true;
+
+        if (pendingRequest) {
+          pendingRequest.abort();
+        }
+
+        // Middleware might hold on to the response, or be busy with
+        // something else altogether, but aborting is reported right away
+        finish(ABORT_RESPONSE);
+      }
+    };
+  };
+};
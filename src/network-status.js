@@ -0,0 +1,38 @@
+/**
+ * Thin wrapper over the online status of the browser. Outside of browsers, or
+ * in those that don't report it, the network is always considered online.
+ */
+
+var isSupported = function() {
+  return typeof window !== 'undefined' &&
+         typeof navigator !== 'undefined' &&
+         typeof navigator.onLine === 'boolean';
+};
+
+/**
+ * @returns {Bool}
+ */
+exports.isOffline = function() {
+  return isSupported() && !navigator.onLine;
+};
+
+/**
+ * @param {Function} listener Called whenever the browser goes offline or
+ *     back online.
+ */
+exports.addListener = function(listener) {
+  if (isSupported()) {
+    window.addEventListener('online', listener);
+    window.addEventListener('offline', listener);
+  }
+};
+
+/**
+ * @param {Function} listener
+ */
+exports.removeListener = function(listener) {
+  if (isSupported()) {
+    window.removeEventListener('online', listener);
+    window.removeEventListener('offline', listener);
+  }
+};
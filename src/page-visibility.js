@@ -0,0 +1,34 @@
+/**
+ * Thin wrapper over the Page Visibility API. Outside of browsers, or in those
+ * that don't support it, the page is always considered visible.
+ */
+
+var isSupported = function() {
+  return typeof document !== 'undefined' &&
+         typeof document.visibilityState === 'string';
+};
+
+/**
+ * @returns {Bool}
+ */
+exports.isHidden = function() {
+  return isSupported() && document.visibilityState === 'hidden';
+};
+
+/**
+ * @param {Function} listener Called whenever the page is hidden or shown.
+ */
+exports.addListener = function(listener) {
+  if (isSupported()) {
+    document.addEventListener('visibilitychange', listener);
+  }
+};
+
+/**
+ * @param {Function} listener
+ */
+exports.removeListener = function(listener) {
+  if (isSupported()) {
+    document.removeEventListener('visibilitychange', listener);
+  }
+};
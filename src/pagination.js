@@ -0,0 +1,69 @@
+/**
+ * Helpers for paginated data. Loaded pages are kept in order, as a list of
+ * {page, data} entries, and merged into a single value for state.data.
+ *
+ * A page can be a number or any cursor the component understands. Numbered
+ * pages work out of the box, while cursors require the component to tell
+ * which page comes next (and before) based on the data of a page.
+ */
+
+/**
+ * Numbered pages have more after them as long as they aren't empty.
+ *
+ * @param {*} pageData
+ * @param {Number} page
+ *
+ * @returns {Number|null}
+ */
+exports.getNextPage = function(pageData, page) {
+  if (typeof page !== 'number') {
+    return null;
+  }
+
+  return Array.isArray(pageData) && pageData.length ? page + 1 : null;
+};
+
+/**
+ * @param {*} pageData
+ * @param {Number} page
+ *
+ * @returns {Number|null}
+ */
+exports.getPreviousPage = function(pageData, page) {
+  return typeof page === 'number' && page > 1 ? page - 1 : null;
+};
+
+/**
+ * @param {Array} pagesData The data of every loaded page, in order.
+ *
+ * @returns {*} The list items of all pages.
+ */
+exports.mergePages = function(pagesData) {
+  return Array.prototype.concat.apply([], pagesData);
+};
+
+/**
+ * @param {Object[]} pages Loaded pages.
+ * @param {Object} entry A page that was just received.
+ * @param {String} position One of "first" (resets the list), "next",
+ *     "previous" and "refresh" (replaces the loaded page with the same key).
+ *
+ * @returns {Object[]} The updated list of loaded pages.
+ */
+exports.addPage = function(pages, entry, position) {
+  if (position === 'first') {
+    return [entry];
+  }
+
+  if (position === 'next') {
+    return pages.concat(entry);
+  }
+
+  if (position === 'previous') {
+    return [entry].concat(pages);
+  }
+
+  return pages.map(function(loadedPage) {
+    return loadedPage.page === entry.page ? entry : loadedPage;
+  });
+};
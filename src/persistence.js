@@ -0,0 +1,99 @@
+var localStorageAdapter = require('./storage/local-storage.js');
+
+/**
+ * Where persisted responses are kept. Two adapters ship with the package,
+ * under src/storage/: local-storage and indexed-db. Custom adapters only need
+ * to implement the same three methods. Values are plain JSON-serializable
+ * objects.
+ * @typedef {Object} StorageAdapter
+ *
+ * @param {Function} getItem Receives a key and a callback, which is called
+ *     with the stored value, or null if there's none. It can be called
+ *     synchronously or asynchronously.
+ * @param {Function} setItem Receives a key and a value to store.
+ * @param {Function} removeItem Receives a key to remove.
+ */
+
+/**
+ * Persistent store for JSON responses, keyed by URL, which outlives page
+ * reloads. Unlike the response cache, persisted data is never used in place
+ * of a request, it only fills in until the response arrives, or for as long
+ * as the browser is offline.
+ * @typedef {Object} Persistence
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {StorageAdapter} [options.storage] Defaults to localStorage.
+ * @param {Number|String} [options.version=1] Persisted responses are only
+ *     used by the same version, so bumping it discards data saved in an
+ *     outdated format.
+ * @param {Number} [options.maxAge=Infinity] Time in milliseconds after which
+ *     a persisted response is discarded.
+ * @param {String} [options.prefix='react-data-fetch:'] Prefix of the storage
+ *     keys, to tell persisted responses apart from other stored data.
+ *
+ * @returns {Persistence}
+ */
+module.exports = function(options) {
+  options = options || {};
+
+  var storage = options.storage || localStorageAdapter(),
+      version = options.version !== undefined ? options.version : 1,
+      maxAge = options.maxAge > 0 ? options.maxAge : Infinity,
+      prefix = options.prefix !== undefined ? options.prefix :
+                                              'react-data-fetch:';
+
+  var isUsable = function(entry) {
+    return Boolean(entry) &&
+           entry.version === version &&
+           Date.now() - entry.savedAt < maxAge;
+  };
+
+  return {
+    /**
+     * @param {String} url
+     * @param {Function} callback Called with an object with the persisted
+     *     data and the time it was saved at, or with null if nothing usable
+     *     is persisted for the URL.
+     */
+    get: function(url, callback) {
+      storage.getItem(prefix + url, function(entry) {
+        if (!isUsable(entry)) {
+          if (entry) {
+            storage.removeItem(prefix + url);
+          }
+
+          callback(null);
+          return;
+        }
+
+        callback({
+          data: entry.data,
+          savedAt: entry.savedAt
+        });
+      });
+    },
+
+    /**
+     * @param {String} url
+     * @param {*} data
+     */
+    set: function(url, data) {
+      storage.setItem(prefix + url, {
+        version: version,
+        savedAt: Date.now(),
+        data: data
+      });
+    },
+
+    /**
+     * Drop the persisted response of a URL.
+     *
+     * @param {String} url
+     */
+    remove: function(url) {
+      storage.removeItem(prefix + url);
+    }
+  };
+};
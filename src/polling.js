@@ -0,0 +1,45 @@
+var extend = require('./utils.js').extend;
+
+/**
+ * @param {Object|Bool} adaptiveOptions The adaptivePolling option given to
+ *     the mixin factory. `true` enables adaptive polling with the default
+ *     settings.
+ *
+ * @returns {Object|null} The complete adaptive polling settings, or null if
+ *     adaptive polling is disabled.
+ */
+exports.getAdaptiveOptions = function(adaptiveOptions) {
+  if (!adaptiveOptions) {
+    return null;
+  }
+
+  return extend({
+    pauseWhenHidden: true,
+    backoffFactor: 2,
+    maxPollInterval: 60000
+  }, adaptiveOptions === true ? {} : adaptiveOptions);
+};
+
+/**
+ * The poll interval is stretched by the backoff factor for every consecutive
+ * error, without going over the max interval. A max interval smaller than the
+ * regular one is ignored.
+ *
+ * @param {Object|null} adaptiveOptions Settings returned by
+ *     getAdaptiveOptions.
+ * @param {Number} pollInterval The regular poll interval.
+ * @param {Number} errorCount Number of consecutive failed requests.
+ *
+ * @returns {Number} The interval until the next poll, in milliseconds.
+ */
+exports.getPollInterval = function(adaptiveOptions, pollInterval, errorCount) {
+  if (!adaptiveOptions || !errorCount) {
+    return pollInterval;
+  }
+
+  var interval = pollInterval *
+                 Math.pow(adaptiveOptions.backoffFactor, errorCount);
+
+  return Math.min(interval,
+                  Math.max(adaptiveOptions.maxPollInterval, pollInterval));
+};
@@ -0,0 +1,138 @@
+var extend = require('./utils.js').extend;
+
+/**
+ * Queue that limits how many requests are in flight at once. A single queue
+ * is meant to be shared by all mixin factories, so that a page full of
+ * components doesn't open a connection for each of them at the same time.
+ *
+ * Waiting requests are sent in order of priority, and in order of arrival
+ * within the same priority.
+ * @typedef {Object} RequestQueue
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {Number} [options.maxConcurrent=6] Maximum number of requests in
+ *     flight.
+ *
+ * @returns {RequestQueue}
+ */
+module.exports = function(options) {
+  options = options || {};
+
+  var maxConcurrent = options.maxConcurrent > 0 ? options.maxConcurrent : 6,
+      waiting = [],
+      activeCount = 0;
+
+  var sendNext = function() {
+    while (activeCount < maxConcurrent && waiting.length) {
+      waiting.shift().send();
+    }
+  };
+
+  var enqueue = function(entry) {
+    // Entries are kept sorted by priority, and the new one goes after those
+    // that have the same priority
+    var index = 0;
+
+    while (index < waiting.length &&
+           waiting[index].priority >= entry.priority) {
+      index++;
+    }
+
+    waiting.splice(index, 0, entry);
+  };
+
+  return {
+    /**
+     * Send a request through a transport as soon as the queue allows it.
+     *
+     * @param {Transport} transport
+     * @param {String} url
+     * @param {Object} request See the transport contract in
+     *     data-fetch-mixin.js.
+     * @param {Number} [priority=module.exports.NORMAL_PRIORITY] Requests with
+     *     a higher priority are sent first.
+     *
+     * @returns {Object} The request, exposing an abort method. Aborting a
+     *     request that is still waiting drops it from the queue.
+     */
+    send: function(transport, url, request, priority) {
+      var sentRequest = null,
+          isFinished = false,
+          entry;
+
+      var finish = function() {
+        if (isFinished) {
+          return;
+        }
+
+        isFinished = true;
+        activeCount--;
+
+        sendNext();
+      };
+
+      entry = {
+        priority: priority === undefined ? module.exports.NORMAL_PRIORITY :
+                                           priority,
+        send: function() {
+          activeCount++;
+
+          sentRequest = transport(url, extend({}, request, {
+            complete: function() {
+              finish();
+
+              request.complete.apply(this, arguments);
+            }
+          }));
+        }
+      };
+
+      enqueue(entry);
+      sendNext();
+
+      return {
+        abort: function() {
+          if (sentRequest) {
+            sentRequest.abort();
+            return;
+          }
+
+          var index = waiting.indexOf(entry);
+
+          if (index === -1) {
+            return;
+          }
+
+          waiting.splice(index, 1);
+
+          var xhr = {status: 0, statusText: 'abort'};
+          request.error(xhr, 'abort', 'abort');
+          request.complete(xhr, 'abort');
+        }
+      };
+    },
+
+    /**
+     * @returns {Number} How many requests are in flight.
+     */
+    countActive: function() {
+      return activeCount;
+    },
+
+    /**
+     * @returns {Number} How many requests are waiting to be sent.
+     */
+    countWaiting: function() {
+      return waiting.length;
+    }
+  };
+};
+
+// Priorities of the requests made by the mixin. User actions, like refreshing
+// data or loading more of it, come before data fetched on mount, while polls
+// only refresh data already in place, so they can wait
+module.exports.HIGH_PRIORITY = 2;
+module.exports.NORMAL_PRIORITY = 1;
+module.exports.LOW_PRIORITY = 0;
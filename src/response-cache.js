@@ -0,0 +1,122 @@
+/**
+ * In-memory cache for JSON responses, keyed by URL. A single cache can be
+ * shared by any number of mixin factories, so components pointing at the same
+ * URL reuse each other's responses.
+ * @typedef {Object} ResponseCache
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {Number} [options.ttl=Infinity] Time in milliseconds after which a
+ *     cached response is considered stale.
+ * @param {Number} [options.maxEntries=100] Maximum number of cached URLs. The
+ *     least recently used entry is evicted when the limit is exceeded.
+ * @param {Bool} [options.staleWhileRevalidate=false] If `true`, stale entries
+ *     are still served (marked as stale) so components can render them while
+ *     refreshing in the background. Otherwise stale entries are dropped.
+ *
+ * @returns {ResponseCache}
+ */
+module.exports = function(options) {
+  options = options || {};
+
+  var ttl = options.ttl > 0 ? options.ttl : Infinity,
+      maxEntries = options.maxEntries > 0 ? options.maxEntries : 100,
+      staleWhileRevalidate = Boolean(options.staleWhileRevalidate);
+
+  // Entries are indexed by URL, while the keys array keeps track of their
+  // usage order, from least to most recently used
+  var entries = {},
+      keys = [];
+
+  var touch = function(url) {
+    var index = keys.indexOf(url);
+
+    if (index !== -1) {
+      keys.splice(index, 1);
+    }
+
+    keys.push(url);
+  };
+
+  var remove = function(url) {
+    var index = keys.indexOf(url);
+
+    if (index !== -1) {
+      keys.splice(index, 1);
+      delete entries[url];
+    }
+  };
+
+  return {
+    /**
+     * @param {String} url
+     *
+     * @returns {Object|null} An object with the cached data and an isStale
+     *     flag, or null if nothing usable is cached for the URL.
+     */
+    get: function(url) {
+      if (keys.indexOf(url) === -1) {
+        return null;
+      }
+
+      var entry = entries[url],
+          isStale = Date.now() - entry.timestamp >= ttl;
+
+      if (isStale && !staleWhileRevalidate) {
+        remove(url);
+        return null;
+      }
+
+      touch(url);
+
+      return {
+        data: entry.data,
+        isStale: isStale
+      };
+    },
+
+    /**
+     * @param {String} url
+     * @param {*} data
+     */
+    set: function(url, data) {
+      entries[url] = {
+        data: data,
+        timestamp: Date.now()
+      };
+
+      touch(url);
+
+      while (keys.length > maxEntries) {
+        remove(keys[0]);
+      }
+    },
+
+    /**
+     * Drop the cached response of a single URL.
+     *
+     * @param {String} url
+     */
+    invalidate: function(url) {
+      remove(url);
+    },
+
+    /**
+     * Drop the cached responses of all URLs starting with a given prefix, e.g.
+     * "/api/users" will invalidate "/api/users/1" and "/api/users?page=2".
+     *
+     * @param {String} prefix
+     */
+    invalidatePrefix: function(prefix) {
+      keys.filter(function(url) {
+        return url.indexOf(prefix) === 0;
+      }).forEach(remove);
+    },
+
+    clear: function() {
+      entries = {};
+      keys = [];
+    }
+  };
+};
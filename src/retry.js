@@ -0,0 +1,89 @@
+var dataErrors = require('./data-error.js'),
+    extend = require('./utils.js').extend;
+
+/**
+ * The default predicate retries whatever the data error classifies as
+ * retryable, so the two can't disagree.
+ *
+ * @param {Object} xhr jqXHR-like object.
+ * @param {String} status The type of error.
+ *
+ * @returns {Bool}
+ */
+var isRetryable = function(xhr, status) {
+  return dataErrors.isRetryable(dataErrors.getType(xhr, status), xhr.status);
+};
+
+/**
+ * @param {Object|Bool} retryOptions The retry option given to the mixin
+ *     factory. `true` enables retrying with the default settings.
+ *
+ * @returns {Object|null} The complete retry settings, or null if retrying
+ *     is disabled.
+ */
+exports.getRetryOptions = function(retryOptions) {
+  if (!retryOptions) {
+    return null;
+  }
+
+  return extend({
+    maxAttempts: 3,
+    baseDelay: 1000,
+    jitter: 0.5,
+    shouldRetry: isRetryable
+  }, retryOptions === true ? {} : retryOptions);
+};
+
+/**
+ * Exponential backoff: the delay doubles with every retry, and a random share
+ * of it is added on top so that clients failing together don't retry
+ * together.
+ *
+ * @param {Object} retryOptions Settings returned by getRetryOptions.
+ * @param {Number} retryCount Number of retries made so far.
+ *
+ * @returns {Number} Delay in milliseconds.
+ */
+exports.getRetryDelay = function(retryOptions, retryCount) {
+  var delay = retryOptions.baseDelay * Math.pow(2, retryCount);
+
+  return Math.round(delay * (1 + retryOptions.jitter * Math.random()));
+};
+
+/**
+ * @param {Object} retryOptions Settings returned by getRetryOptions.
+ * @param {Number} retryCount Number of retries made so far.
+ * @param {Object} xhr jqXHR-like object.
+ * @param {String} status The type of error.
+ * @param {String} err The error message.
+ *
+ * @returns {Bool}
+ */
+exports.shouldRetry = function(retryOptions, retryCount, xhr, status, err) {
+  // The initial request counts as the first attempt
+  if (retryCount + 1 >= retryOptions.maxAttempts) {
+    return false;
+  }
+
+  return exports.isRetryable(retryOptions, xhr, status, err);
+};
+
+/**
+ * Whether a failed request is worth asking again for under the given
+ * settings, regardless of the attempts left.
+ *
+ * @param {Object} retryOptions Settings returned by getRetryOptions.
+ * @param {Object} xhr jqXHR-like object.
+ * @param {String} status The type of error.
+ * @param {String} err The error message.
+ *
+ * @returns {Bool}
+ */
+exports.isRetryable = function(retryOptions, xhr, status, err) {
+  // Aborted requests were cancelled on purpose
+  if (status === 'abort') {
+    return false;
+  }
+
+  return Boolean(retryOptions.shouldRetry(xhr, status, err));
+};
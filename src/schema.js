@@ -0,0 +1,105 @@
+/**
+ * Minimal validator for JSON-Schema-like descriptors, covering what is needed
+ * to catch backend contract drift without pulling in a full implementation.
+ *
+ * Supported keywords: type (a type name or a list of them), enum, properties,
+ * required, additionalProperties (false only) and items. Type names are
+ * string, number, integer, boolean, object, array and null.
+ */
+
+var getType = function(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  return typeof value;
+};
+
+var matchesType = function(value, type) {
+  if (type === 'integer') {
+    return typeof value === 'number' && value % 1 === 0;
+  }
+
+  return getType(value) === type;
+};
+
+var joinPath = function(path, key) {
+  if (typeof key === 'number') {
+    return path + '[' + key + ']';
+  }
+
+  return path ? path + '.' + key : key;
+};
+
+var validate = function(schema, value, path, errors) {
+  if (schema.type !== undefined) {
+    var types = [].concat(schema.type);
+
+    if (!types.some(matchesType.bind(null, value))) {
+      errors.push({
+        path: path,
+        message: 'should be ' + types.join(' or ')
+      });
+
+      // Nested checks make no sense for a value of the wrong type
+      return;
+    }
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    errors.push({
+      path: path,
+      message: 'should be one of ' + JSON.stringify(schema.enum)
+    });
+  }
+
+  if (getType(value) === 'object') {
+    var properties = schema.properties || {};
+
+    (schema.required || []).forEach(function(key) {
+      if (value[key] === undefined) {
+        errors.push({
+          path: joinPath(path, key),
+          message: 'is required'
+        });
+      }
+    });
+
+    Object.keys(value).forEach(function(key) {
+      if (properties[key]) {
+        validate(properties[key], value[key], joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: joinPath(path, key),
+          message: 'is not allowed'
+        });
+      }
+    });
+  }
+
+  if (getType(value) === 'array' && schema.items) {
+    value.forEach(function(item, index) {
+      validate(schema.items, item, joinPath(path, index), errors);
+    });
+  }
+};
+
+/**
+ * @param {Object} schema
+ * @param {*} data
+ *
+ * @returns {Object[]} List of errors, each with the path of the failing value
+ *     (e.g. "users[0].name", empty for the root) and a message. Empty if the
+ *     data is valid.
+ */
+exports.validate = function(schema, data) {
+  var errors = [];
+
+  validate(schema, data, '', errors);
+
+  return errors;
+};
@@ -0,0 +1,270 @@
+var extend = require('./utils.js').extend;
+
+/**
+ * Server rendering support. Data is fetched ahead of rendering, through the
+ * static fetchData(props, callback) method of mixed-in components, and the
+ * resulting payload is handed to the same components on the client, which
+ * then start from it instead of requesting their data again.
+ *
+ * A payload maps request keys (see getRequestKey) to received data, after
+ * validation and transformation.
+ * @typedef {Object} DataPayload
+ */
+
+// Data waiting to be picked up by mounting components
+var preloadedData = {};
+
+/**
+ * @param {Object} dataRequest Normalized data request.
+ *
+ * @returns {String} The key of the request's data inside payloads. GET
+ *     requests are simply keyed by URL.
+ */
+exports.getRequestKey = function(dataRequest) {
+  var key = dataRequest.url;
+
+  if (dataRequest.method !== 'GET' || dataRequest.body) {
+    key = dataRequest.method + ' ' + key;
+  }
+
+  if (dataRequest.body) {
+    key += ' ' + dataRequest.body;
+  }
+
+  return key;
+};
+
+// Whether components are being rendered on the server, see renderOnServer
+var isRenderingOnServer = false;
+
+/**
+ * @returns {Bool} Whether components are being rendered on the server,
+ *     inside renderOnServer. Components rendered there never unmount, so they
+ *     must not fetch data or poll.
+ */
+exports.isServer = function() {
+  return isRenderingOnServer;
+};
+
+/**
+ * Render components on the server, e.g. through React.renderToString. The
+ * components mounted in the meantime start from the hydrated data, and leave
+ * any fetching to their client side counterparts.
+ *
+ * @param {Function} render Renders synchronously and returns the output.
+ *
+ * @returns {*} The output of the render function.
+ */
+exports.renderOnServer = function(render) {
+  var wasRenderingOnServer = isRenderingOnServer;
+
+  isRenderingOnServer = true;
+
+  try {
+    return render();
+  } finally {
+    isRenderingOnServer = wasRenderingOnServer;
+  }
+};
+
+// Applies the state changes of components rendered while collecting data,
+// in place of a renderer
+var updater = {
+  isMounted: function() {
+    return false;
+  },
+  enqueueSetState: function(instance, update, callback) {
+    if (typeof(update) === 'function') {
+      update = update(instance.state, instance.props);
+    }
+
+    instance.state = extend({}, instance.state, update);
+
+    if (typeof(callback) === 'function') {
+      callback();
+    }
+  },
+  enqueueReplaceState: function(instance, state) {
+    instance.state = state;
+  },
+  enqueueForceUpdate: function() {},
+  enqueueCallback: function(instance, callback) {
+    callback();
+  }
+};
+
+var renderElement = function(element, context) {
+  /**
+   * Render a composite element like the server would, short of rendering
+   * its children.
+   *
+   * @param {ReactElement} element
+   * @param {Object} context The legacy context passed down to it.
+   *
+   * @returns {Object} An object with the rendered output and the context for
+   *     the elements in it.
+   */
+  var Component = element.type,
+      props = element.props || {};
+
+  return exports.renderOnServer(function() {
+    if (!Component.prototype || !Component.prototype.isReactComponent) {
+      return {
+        output: Component(props, context),
+        context: context
+      };
+    }
+
+    var instance = new Component(props, context, updater);
+
+    instance.props = props;
+    instance.context = context;
+    instance.updater = updater;
+
+    if (typeof(instance.componentWillMount) === 'function') {
+      instance.componentWillMount();
+    }
+
+    return {
+      output: instance.render(),
+      context: typeof(instance.getChildContext) === 'function' ?
+          extend({}, context, instance.getChildContext()) : context
+    };
+  });
+};
+
+var withPreloadedData = function(payload, callback) {
+  // Components that fetched data ahead render with it, like they will on
+  // the server
+  var previousData = preloadedData;
+
+  preloadedData = extend({}, payload);
+
+  try {
+    callback();
+  } finally {
+    preloadedData = previousData;
+  }
+};
+
+/**
+ * Walk a tree of React elements and fetch the data of every component that
+ * implements fetchData. Composite elements are rendered in order to reach the
+ * elements they render, which for components that fetch data happens once
+ * their data arrives, so that components depending on it are reached as
+ * well.
+ *
+ * @param {ReactElement} element
+ * @param {Function} callback Called with the combined DataPayload once all
+ *     requests completed. Failed requests are left out of the payload, so
+ *     their components fetch the data again on the client.
+ */
+exports.collectData = function(element, callback) {
+  var payload = {},
+      pendingCount = 1;
+
+  var done = function() {
+    pendingCount--;
+
+    if (pendingCount === 0) {
+      callback(payload);
+    }
+  };
+
+  var visit, visitRendered;
+
+  visit = function(node, context) {
+    if (!node || typeof(node) !== 'object') {
+      return;
+    }
+
+    if (Array.isArray(node)) {
+      node.forEach(function(child) {
+        visit(child, context);
+      });
+      return;
+    }
+
+    if (!node.type || typeof(node.type.fetchData) !== 'function') {
+      visitRendered(node, context);
+      return;
+    }
+
+    pendingCount++;
+
+    node.type.fetchData(node.props || {}, function(data) {
+      extend(payload, data);
+
+      withPreloadedData(data, function() {
+        visitRendered(node, context);
+      });
+
+      done();
+    });
+  };
+
+  visitRendered = function(node, context) {
+    // Host elements, and whatever else can't be rendered, are walked
+    // through their children
+    if (typeof(node.type) !== 'function') {
+      visit(node.props && node.props.children, context);
+      return;
+    }
+
+    var rendered = renderElement(node, context);
+
+    visit(rendered.output, rendered.context);
+  };
+
+  visit(element, {});
+
+  // Account for the tree walk itself, so that synchronous callbacks don't
+  // complete the collection early
+  done();
+};
+
+/**
+ * @param {DataPayload} payload
+ *
+ * @returns {String} JSON that is safe to inline inside a script tag.
+ */
+exports.serialize = function(payload) {
+  return JSON.stringify(payload)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+};
+
+/**
+ * Make a payload available to components that are about to mount. Any
+ * previously hydrated data is discarded.
+ *
+ * @param {DataPayload} payload
+ */
+exports.hydrate = function(payload) {
+  preloadedData = payload || {};
+};
+
+/**
+ * Remove the preloaded data of a request. Data is only used once, so
+ * components mounted later on fetch fresh data.
+ *
+ * @param {Object} dataRequest Normalized data request.
+ *
+ * @returns {Object|null} An object with the preloaded data, or null if the
+ *     request has none.
+ */
+exports.takePreloadedData = function(dataRequest) {
+  var key = exports.getRequestKey(dataRequest);
+
+  if (!preloadedData.hasOwnProperty(key)) {
+    return null;
+  }
+
+  var data = preloadedData[key];
+  delete preloadedData[key];
+
+  return {
+    data: data
+  };
+};
@@ -0,0 +1,123 @@
+/**
+ * Storage adapter built on IndexedDB, which holds more data than localStorage
+ * and doesn't block the main thread. Values are stored as they are, through
+ * structured cloning.
+ *
+ * The database is opened with the first operation. Operations fail silently,
+ * e.g. when IndexedDB isn't supported, in which case nothing is ever found.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.name='react-data-fetch'] Database name.
+ * @param {String} [options.storeName='responses'] Object store name.
+ * @param {IDBFactory} [options.indexedDB=window.indexedDB]
+ *
+ * @returns {StorageAdapter} See src/persistence.js.
+ */
+module.exports = function(options) {
+  options = options || {};
+
+  var name = options.name || 'react-data-fetch',
+      storeName = options.storeName || 'responses',
+      database = null,
+      // Operations received while the database is opening, or null once it
+      // opened (or failed to)
+      pendingOperations = [];
+
+  var getFactory = function() {
+    if (options.indexedDB) {
+      return options.indexedDB;
+    }
+
+    return typeof(window) !== 'undefined' && window.indexedDB || null;
+  };
+
+  var flush = function(db) {
+    var operations = pendingOperations;
+
+    database = db;
+    pendingOperations = null;
+
+    operations.forEach(function(operation) {
+      operation(db);
+    });
+  };
+
+  var open = function() {
+    var factory = getFactory(),
+        request;
+
+    try {
+      request = factory.open(name, 1);
+    } catch (e) {
+      flush(null);
+      return;
+    }
+
+    request.onupgradeneeded = function() {
+      request.result.createObjectStore(storeName);
+    };
+    request.onsuccess = function() {
+      flush(request.result);
+    };
+    request.onerror = function() {
+      flush(null);
+    };
+  };
+
+  var withStore = function(mode, operation, onFailure) {
+    var run = function(db) {
+      if (!db) {
+        onFailure();
+        return;
+      }
+
+      try {
+        operation(db.transaction(storeName, mode).objectStore(storeName));
+      } catch (e) {
+        onFailure();
+      }
+    };
+
+    if (pendingOperations === null) {
+      run(database);
+      return;
+    }
+
+    pendingOperations.push(run);
+
+    if (pendingOperations.length === 1) {
+      open();
+    }
+  };
+
+  var noop = function() {};
+
+  return {
+    getItem: function(key, callback) {
+      withStore('readonly', function(store) {
+        var request = store.get(key);
+
+        request.onsuccess = function() {
+          callback(request.result === undefined ? null : request.result);
+        };
+        request.onerror = function() {
+          callback(null);
+        };
+      }, function() {
+        callback(null);
+      });
+    },
+
+    setItem: function(key, value) {
+      withStore('readwrite', function(store) {
+        store.put(value, key);
+      }, noop);
+    },
+
+    removeItem: function(key) {
+      withStore('readwrite', function(store) {
+        store.delete(key);
+      }, noop);
+    }
+  };
+};
@@ -0,0 +1,57 @@
+/**
+ * Storage adapter built on localStorage. Values are serialized as JSON, and
+ * callbacks are called synchronously, so persisted data is in place before
+ * the first request goes out.
+ *
+ * Storage errors, e.g. an exceeded quota or a browser that blocks access to
+ * localStorage, are swallowed, since persistence is only an optimization.
+ *
+ * @param {Storage} [storage=window.localStorage] A Web Storage object, e.g.
+ *     sessionStorage.
+ *
+ * @returns {StorageAdapter} See src/persistence.js.
+ */
+module.exports = function(storage) {
+  var getStorage = function() {
+    if (storage) {
+      return storage;
+    }
+
+    // Merely accessing localStorage throws when cookies are disabled
+    try {
+      return typeof(window) !== 'undefined' && window.localStorage || null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  return {
+    getItem: function(key, callback) {
+      var value = null;
+
+      try {
+        value = JSON.parse(getStorage().getItem(key));
+      } catch (e) {
+        // Missing storage and corrupted values alike count as no value
+      }
+
+      callback(value);
+    },
+
+    setItem: function(key, value) {
+      try {
+        getStorage().setItem(key, JSON.stringify(value));
+      } catch (e) {
+        // Data that doesn't fit simply isn't persisted
+      }
+    },
+
+    removeItem: function(key) {
+      try {
+        getStorage().removeItem(key);
+      } catch (e) {
+        // Nothing to remove without storage
+      }
+    }
+  };
+};
@@ -0,0 +1,44 @@
+var extend = require('./utils.js').extend,
+    websocketStream = require('./streams/websocket.js'),
+    eventSourceStream = require('./streams/event-source.js');
+
+/**
+ * @param {Object} [reconnectOptions] The streamReconnect option given to the
+ *     mixin factory.
+ *
+ * @returns {Object} The complete reconnection settings.
+ */
+exports.getReconnectOptions = function(reconnectOptions) {
+  return extend({
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0.5
+  }, reconnectOptions);
+};
+
+/**
+ * The delay doubles with every failed attempt, without going over the max
+ * delay, plus a random share of it so that clients disconnected at the same
+ * time don't reconnect all at once.
+ *
+ * @param {Object} reconnectOptions Settings returned by getReconnectOptions.
+ * @param {Number} attemptCount Number of failed attempts so far.
+ *
+ * @returns {Number} The delay until the next attempt, in milliseconds.
+ */
+exports.getReconnectDelay = function(reconnectOptions, attemptCount) {
+  var delay = Math.min(reconnectOptions.baseDelay * Math.pow(2, attemptCount),
+                       reconnectOptions.maxDelay);
+
+  return Math.round(delay * (1 + reconnectOptions.jitter * Math.random()));
+};
+
+/**
+ * @param {String} url
+ *
+ * @returns {StreamTransport} WebSocket transport for ws:// and wss:// URLs,
+ *     EventSource transport for the rest.
+ */
+exports.getStreamTransport = function(url) {
+  return /^wss?:/i.test(url) ? websocketStream : eventSourceStream;
+};
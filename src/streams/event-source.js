@@ -0,0 +1,46 @@
+var parseMessage = require('./message.js').parseMessage;
+
+/**
+ * Stream transport built on EventSource (Server-Sent Events).
+ *
+ * EventSource reconnects on its own after losing the connection, but the
+ * connection is closed and reported instead, so reconnecting is handled the
+ * same way as with WebSockets.
+ *
+ * @param {String} url
+ * @param {Object} request See the stream transport contract in
+ *     data-fetch-mixin.js.
+ *
+ * @returns {Object} An object with a close method.
+ */
+module.exports = function(url, request) {
+  var eventSource = new EventSource(url, {
+        withCredentials: request.withCredentials
+      }),
+      closed = false;
+
+  eventSource.onopen = function() {
+    request.open();
+  };
+
+  eventSource.onmessage = function(event) {
+    parseMessage(event.data, request);
+  };
+
+  eventSource.onerror = function() {
+    if (closed) {
+      return;
+    }
+
+    closed = true;
+    eventSource.close();
+    request.close();
+  };
+
+  return {
+    close: function() {
+      closed = true;
+      eventSource.close();
+    }
+  };
+};
@@ -0,0 +1,18 @@
+/**
+ * Pass the JSON payload of a pushed message to the message handler. Messages
+ * that aren't valid JSON, e.g. heartbeats, are skipped.
+ *
+ * @param {String} text
+ * @param {Object} request The request options received by the transport.
+ */
+exports.parseMessage = function(text, request) {
+  var message;
+
+  try {
+    message = JSON.parse(text);
+  } catch (e) {
+    return;
+  }
+
+  request.message(message);
+};
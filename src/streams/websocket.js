@@ -0,0 +1,40 @@
+var parseMessage = require('./message.js').parseMessage;
+
+/**
+ * Stream transport built on WebSocket, for ws:// and wss:// URLs.
+ *
+ * @param {String} url
+ * @param {Object} request See the stream transport contract in
+ *     data-fetch-mixin.js.
+ *
+ * @returns {Object} An object with a close method.
+ */
+module.exports = function(url, request) {
+  var socket = new WebSocket(url),
+      closed = false;
+
+  socket.onopen = function() {
+    request.open();
+  };
+
+  socket.onmessage = function(event) {
+    parseMessage(event.data, request);
+  };
+
+  // Errors are always followed by a close event, which is reported instead
+  socket.onclose = function() {
+    if (closed) {
+      return;
+    }
+
+    closed = true;
+    request.close();
+  };
+
+  return {
+    close: function() {
+      closed = true;
+      socket.close();
+    }
+  };
+};
@@ -0,0 +1,45 @@
+/**
+ * Structural sharing between consecutive versions of JSON data. Parts of the
+ * new data that are structurally equal to the previous data are replaced by
+ * their previous counterparts, so unchanged objects keep their identity and
+ * can be compared by reference, e.g. in shouldComponentUpdate.
+ */
+
+var isObject = function(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+};
+
+/**
+ * @param {*} prevData
+ * @param {*} nextData
+ *
+ * @returns {*} prevData if both are structurally equal, otherwise nextData
+ *     with all its unchanged objects and arrays taken from prevData.
+ */
+exports.share = function(prevData, nextData) {
+  if (prevData === nextData) {
+    return prevData;
+  }
+
+  var isArray = Array.isArray(nextData);
+
+  if (isArray ? !Array.isArray(prevData) :
+                !isObject(nextData) || !isObject(prevData)) {
+    return nextData;
+  }
+
+  var keys = Object.keys(nextData),
+      sharedData = isArray ? [] : {},
+      isEqual = keys.length === Object.keys(prevData).length;
+
+  keys.forEach(function(key) {
+    sharedData[key] = exports.share(prevData[key], nextData[key]);
+
+    if (sharedData[key] !== prevData[key] ||
+        !prevData.hasOwnProperty(key)) {
+      isEqual = false;
+    }
+  });
+
+  return isEqual ? prevData : sharedData;
+};
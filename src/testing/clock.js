@@ -0,0 +1,185 @@
+var globalScope = typeof(window) !== 'undefined' ? window : global;
+
+var TIMER_FUNCTIONS = [
+  'setTimeout',
+  'clearTimeout',
+  'setInterval',
+  'clearInterval'
+];
+
+/**
+ * Controllable clock for testing polling, retries, delays and timestamps.
+ * Once installed, it replaces the global timer functions and Date.now, and
+ * time only moves forward when told to:
+ *
+ *   var clock = createClock();
+ *   clock.install();
+ *   clock.tick(5000);
+ *   clock.uninstall();
+ *
+ * @param {Number} [now=0] The initial timestamp.
+ *
+ * @returns {Object}
+ */
+module.exports = function(now) {
+  var timers = [],
+      lastId = 0,
+      originals = null,
+      clock = {};
+
+  clock.now = now || 0;
+
+  var addTimer = function(callback, delay, args, isInterval) {
+    var timer = {
+      id: ++lastId,
+      callback: callback,
+      args: args,
+      delay: Math.max(delay || 0, 0),
+      interval: isInterval
+    };
+
+    timer.callAt = clock.now + timer.delay;
+    timers.push(timer);
+
+    return timer.id;
+  };
+
+  var removeTimer = function(id) {
+    timers = timers.filter(function(timer) {
+      return timer.id !== id;
+    });
+  };
+
+  var getNextTimer = function(until) {
+    var nextTimer = null;
+
+    timers.forEach(function(timer) {
+      // Timers that are due at the same time run in order of creation
+      if (timer.callAt <= until &&
+          (!nextTimer || timer.callAt < nextTimer.callAt)) {
+        nextTimer = timer;
+      }
+    });
+
+    return nextTimer;
+  };
+
+  clock.setTimeout = function(callback, delay) {
+    return addTimer(callback, delay, [].slice.call(arguments, 2), false);
+  };
+
+  clock.setInterval = function(callback, delay) {
+    return addTimer(callback, delay, [].slice.call(arguments, 2), true);
+  };
+
+  clock.clearTimeout = clock.clearInterval = removeTimer;
+
+  /**
+   * Move time forward, running every timer that becomes due along the way,
+   * including the ones scheduled by the timers themselves.
+   *
+   * @param {Number} ms
+   */
+  clock.tick = function(ms) {
+    var until = clock.now + ms,
+        timer;
+
+    while ((timer = getNextTimer(until))) {
+      clock.now = timer.callAt;
+
+      if (timer.interval) {
+        // Intervals never run twice at the same time
+        timer.callAt += timer.delay || 1;
+      } else {
+        removeTimer(timer.id);
+      }
+
+      timer.callback.apply(null, timer.args);
+    }
+
+    clock.now = until;
+  };
+
+  /**
+   * Run timers until none is left. Intervals are left out, since they'd
+   * keep running forever.
+   *
+   * @param {Number} [limit=1000] How many timers to run at most, to break
+   *     out of timers that keep scheduling new ones.
+   */
+  clock.runAll = function(limit) {
+    limit = limit || 1000;
+
+    var getTimeouts = function() {
+      return timers.filter(function(timer) {
+        return !timer.interval;
+      });
+    };
+
+    for (var i = 0; i < limit; i++) {
+      var timeouts = getTimeouts();
+
+      if (!timeouts.length) {
+        return;
+      }
+
+      clock.tick(Math.max(Math.min.apply(Math, timeouts.map(function(timer) {
+        return timer.callAt;
+      })) - clock.now, 0));
+    }
+
+    if (!getTimeouts().length) {
+      return;
+    }
+
+    throw new Error('Timers kept scheduling new timers after ' + limit +
+                    ' runs');
+  };
+
+  /**
+   * @returns {Number} How many timers are waiting to run.
+   */
+  clock.countTimers = function() {
+    return timers.length;
+  };
+
+  clock.install = function() {
+    if (originals) {
+      return;
+    }
+
+    originals = {
+      now: Date.now
+    };
+
+    TIMER_FUNCTIONS.forEach(function(name) {
+      originals[name] = globalScope[name];
+      globalScope[name] = clock[name];
+    });
+
+    Date.now = function() {
+      return clock.now;
+    };
+  };
+
+  /**
+   * Restore the real timer functions and Date.now. Pending timers are
+   * dropped.
+   */
+  clock.uninstall = function() {
+    if (!originals) {
+      return;
+    }
+
+    TIMER_FUNCTIONS.forEach(function(name) {
+      globalScope[name] = originals[name];
+    });
+
+    Date.now = originals.now;
+
+    originals = null;
+    timers = [];
+  };
+
+  return clock;
+};
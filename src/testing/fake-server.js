@@ -0,0 +1,218 @@
+var extend = require('../utils.js').extend,
+    settle = require('../transports/response.js').settle,
+    fail = require('../transports/response.js').fail;
+
+/**
+ * A response registered on the fake server.
+ * @typedef {Object} FakeResponse
+ *
+ * @param {Number} [status=200]
+ * @param {*} [data] Response body, serialized as JSON.
+ * @param {String} [body] Raw response body, used instead of data, e.g. to
+ *     send invalid JSON.
+ * @param {Object} [headers] Response header values indexed by name.
+ * @param {Number} [delay=0] Time in milliseconds before responding.
+ * @param {String} [error] Fail without a response instead, with "network"
+ *     or "timeout".
+ */
+
+var STATUS_TEXTS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  304: 'Not Modified',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable'
+};
+
+var NOT_FOUND = {
+  status: 404
+};
+
+var getResponseText = function(response) {
+  if (response.body !== undefined) {
+    return response.body;
+  }
+
+  return response.data === undefined ? '' : JSON.stringify(response.data);
+};
+
+var matchesUrl = function(route, url) {
+  if (route.url instanceof RegExp) {
+    return route.url.test(url);
+  }
+
+  // Routes without a query string match any query string
+  return route.url === url ||
+         route.url.indexOf('?') === -1 && url.split('?')[0] === route.url;
+};
+
+/**
+ * Fake backend for testing components that fetch data, without a network.
+ * Requests are answered from registered routes, through a transport or a
+ * middleware that is passed to the mixin factory:
+ *
+ *   var server = createFakeServer();
+ *   server.route('/api/users', {data: [{name: 'John'}], delay: 100});
+ *
+ *   DataFetch({middleware: [server.middleware]});
+ *
+ * The middleware answers requests before they reach the transport, so it
+ * works with whatever transport the mixin uses. Responses are always sent
+ * asynchronously, through setTimeout, so they can be timed with a fake clock.
+ *
+ * @returns {Object}
+ */
+module.exports = function() {
+  var routes = [],
+      server = {};
+
+  /**
+   * Requests received so far, with their url, method, headers and body.
+   * @type {Object[]}
+   */
+  server.requests = [];
+
+  /**
+   * Register a response for a URL. Routes registered later take precedence.
+   *
+   * @param {String} [method] Only match requests with this method.
+   * @param {String|RegExp} url
+   * @param {FakeResponse|Function} response A response, or a function that
+   *     receives the request and returns one.
+   *
+   * @returns {Object} The server.
+   */
+  server.route = function(method, url, response) {
+    if (response === undefined) {
+      response = url;
+      url = method;
+      method = null;
+    }
+
+    routes.unshift({
+      method: method && method.toUpperCase(),
+      url: url,
+      response: response
+    });
+
+    return server;
+  };
+
+  /**
+   * Remove all routes and forget received requests.
+   */
+  server.reset = function() {
+    routes = [];
+    server.requests = [];
+  };
+
+  server.getResponse = function(request) {
+    for (var i = 0; i < routes.length; i++) {
+      var route = routes[i];
+
+      if ((!route.method || route.method === request.method) &&
+          matchesUrl(route, request.url)) {
+        return typeof(route.response) === 'function' ?
+            route.response(request) : route.response;
+      }
+    }
+
+    return NOT_FOUND;
+  };
+
+  /**
+   * @type {Transport} See the transport contract in data-fetch-mixin.js.
+   */
+  server.transport = function(url, request) {
+    var fakeRequest = {
+      url: url,
+      method: request.method,
+      headers: extend({}, request.headers),
+      body: request.body
+    };
+
+    server.requests.push(fakeRequest);
+
+    var response = extend({
+      status: 200,
+      delay: 0
+    }, server.getResponse(fakeRequest));
+
+    var timeout = setTimeout(function() {
+      timeout = null;
+
+      if (response.error === 'network') {
+        fail(request, {status: 0, statusText: 'error'}, 'error', 'error');
+      } else if (response.error === 'timeout') {
+        fail(request, {status: 0, statusText: 'timeout'}, 'timeout',
+             'timeout');
+      } else {
+        settle(request, {
+          status: response.status,
+          statusText: STATUS_TEXTS[response.status] || '',
+          responseText: getResponseText(response),
+          getResponseHeader: function(name) {
+            var headers = response.headers || {};
+
+            for (var headerName in headers) {
+              if (headerName.toLowerCase() === name.toLowerCase()) {
+                return headers[headerName];
+              }
+            }
+
+            return null;
+          }
+        });
+      }
+    }, response.delay);
+
+    return {
+      abort: function() {
+        if (timeout === null) {
+          return;
+        }
+
+        clearTimeout(timeout);
+        timeout = null;
+
+        fail(request, {status: 0, statusText: 'abort'}, 'abort', 'abort');
+      }
+    };
+  };
+
+  /**
+   * @type {Middleware} See src/middleware.js.
+   */
+  server.middleware = function(request, next, done) {
+    server.transport(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      withCredentials: request.withCredentials,
+      success: function(data, status, xhr) {
+        done({
+          ok: true,
+          data: data,
+          xhr: xhr,
+          status: status
+        });
+      },
+      error: function(xhr, status, err) {
+        done({
+          ok: false,
+          xhr: xhr,
+          status: status,
+          err: err
+        });
+      },
+      complete: function() {}
+    });
+  };
+
+  return server;
+};
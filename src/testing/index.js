@@ -0,0 +1,16 @@
+/**
+ * Utilities for testing components that fetch data, without a network or a
+ * DOM:
+ *
+ *   - createFakeServer, a fake backend that answers requests from registered
+ *     routes (see fake-server.js)
+ *   - createClock, a controllable clock for polling, retries and response
+ *     delays (see clock.js)
+ *   - mount, which runs the lifecycle of a component and waits for its data
+ *     to settle (see mount.js)
+ */
+
+exports.createFakeServer = require('./fake-server.js');
+exports.createClock = require('./clock.js');
+exports.mount = require('./mount.js').mount;
+exports.isSettled = require('./mount.js').isSettled;
@@ -0,0 +1,154 @@
+var extend = require('../utils.js').extend;
+
+// State flags that are on while the component is waiting for the server
+var PENDING_FLAGS = [
+  'isFetchingData',
+  'isFetchingPage',
+  'isMutatingData'
+];
+
+var getDefaultProps = function(Component) {
+  if (typeof(Component) === 'function') {
+    return Component.defaultProps;
+  }
+
+  return Component.getDefaultProps && Component.getDefaultProps();
+};
+
+var createInstance = function(Component, props) {
+  var instance;
+
+  if (typeof(Component) === 'function') {
+    // Both component classes, created with React.createClass or through the
+    // higher-order components, set up their initial state when constructed
+    instance = new Component(props);
+  } else {
+    instance = Object.create(Component);
+    instance.props = props;
+    instance.state = instance.getInitialState ? instance.getInitialState() :
+                                                null;
+  }
+
+  return instance;
+};
+
+/**
+ * Whether a component has no requests waiting for the server anymore.
+ *
+ * @param {Object} state The component state.
+ *
+ * @returns {Bool}
+ */
+exports.isSettled = function(state) {
+  return PENDING_FLAGS.every(function(flag) {
+    return !state[flag];
+  });
+};
+
+/**
+ * Mount a component that fetches data, without rendering it. Its lifecycle
+ * methods are called the way React would call them, while state updates are
+ * applied right away, so the state can be inspected at any point.
+ *
+ *   var component = mount(UserList, {dataUrl: '/api/users'});
+ *
+ *   component.waitForData(function(state) {
+ *     expect(state.data).to.deep.equal([{name: 'John'}]);
+ *     component.unmount();
+ *   });
+ *
+ * @param {Function|Object} Component A component class, created either with
+ *     React.createClass or through withDataFetch or the DataFetch component,
+ *     or a plain component spec that includes the mixin's methods.
+ * @param {Object} [props]
+ *
+ * @returns {Object}
+ */
+exports.mount = function(Component, props) {
+  var listeners = [],
+      mounted = {};
+
+  props = extend({}, getDefaultProps(Component), props);
+
+  var instance = createInstance(Component, props);
+
+  instance.setState = function(update, callback) {
+    if (typeof(update) === 'function') {
+      update = update(instance.state, instance.props);
+    }
+
+    instance.state = extend({}, instance.state, update);
+
+    if (callback) {
+      callback();
+    }
+
+    listeners.slice().forEach(function(listener) {
+      listener(instance.state);
+    });
+  };
+
+  mounted.instance = instance;
+
+  /**
+   * @returns {Object} The current component state.
+   */
+  mounted.getState = function() {
+    return instance.state;
+  };
+
+  /**
+   * Replace the props of the component, like a parent that renders it again.
+   *
+   * @param {Object} nextProps Merged with the current props.
+   */
+  mounted.setProps = function(nextProps) {
+    nextProps = extend({}, instance.props, nextProps);
+
+    if (instance.componentWillReceiveProps) {
+      instance.componentWillReceiveProps(nextProps);
+    }
+
+    instance.props = nextProps;
+  };
+
+  mounted.unmount = function() {
+    listeners = [];
+
+    if (instance.componentWillUnmount) {
+      instance.componentWillUnmount();
+    }
+  };
+
+  /**
+   * Call back once the component has no requests waiting for the server,
+   * right away if that's already the case.
+   *
+   * @param {Function} callback Receives the settled state.
+   */
+  mounted.waitForData = function(callback) {
+    if (exports.isSettled(instance.state)) {
+      callback(instance.state);
+      return;
+    }
+
+    var listener = function(state) {
+      if (exports.isSettled(state)) {
+        listeners.splice(listeners.indexOf(listener), 1);
+        callback(state);
+      }
+    };
+
+    listeners.push(listener);
+  };
+
+  if (instance.componentWillMount) {
+    instance.componentWillMount();
+  }
+
+  if (instance.componentDidMount) {
+    instance.componentDidMount();
+  }
+
+  return mounted;
+};
@@ -0,0 +1,67 @@
+var extend = require('../utils.js').extend,
+    settle = require('./response.js').settle,
+    fail = require('./response.js').fail;
+
+/**
+ * Transport built on the Fetch API. Aborting relies on AbortController, so
+ * both need to be available (natively or through polyfills).
+ *
+ * @param {String} url
+ * @param {Object} request See the transport contract in data-fetch-mixin.js.
+ *
+ * @returns {Object} An object with an abort method.
+ */
+module.exports = function(url, request) {
+  var controller = new AbortController(),
+      finished = false;
+
+  fetch(url, {
+    method: request.method,
+    credentials: request.withCredentials ? 'include' : 'same-origin',
+    headers: extend({
+      Accept: 'application/json'
+    }, request.headers),
+    body: request.body,
+    signal: controller.signal
+  }).then(function(response) {
+    return response.text().then(function(text) {
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        responseText: text,
+        getResponseHeader: function(name) {
+          return response.headers.get(name);
+        }
+      };
+    });
+  }).then(function(xhr) {
+    // Aborted requests have already been reported by the time they settle
+    if (finished) {
+      return;
+    }
+
+    finished = true;
+    settle(request, xhr);
+  }, function(err) {
+    // The promise rejection that follows controller.abort() is expected
+    if (finished) {
+      return;
+    }
+
+    finished = true;
+    fail(request, {status: 0, statusText: 'error'}, 'error', err);
+  });
+
+  return {
+    abort: function() {
+      if (finished) {
+        return;
+      }
+
+      finished = true;
+      controller.abort();
+
+      fail(request, {status: 0, statusText: 'abort'}, 'abort', 'abort');
+    }
+  };
+};
@@ -0,0 +1,34 @@
+var $ = require('jquery');
+
+/**
+ * Transport backed by $.ajax. jQuery isn't a hard dependency of the package,
+ * so it needs to be installed separately in order to use this adapter.
+ *
+ * The callbacks are handed over to $.ajax untouched, which means
+ * options.onError will receive the exact arguments and context jQuery
+ * provides.
+ *
+ * @param {String} url
+ * @param {Object} request See the transport contract in data-fetch-mixin.js.
+ *
+ * @returns {Object} The jqXHR object, which can be aborted.
+ */
+module.exports = function(url, request) {
+  return $.ajax({
+    url: url,
+    // Even though not recommended, some $.ajaxSettings might default to
+    // POST requests. See http://api.jquery.com/jquery.ajaxsetup/
+    type: request.method,
+    dataType: 'json',
+    headers: request.headers,
+    // The body is already serialized
+    data: request.body,
+    processData: false,
+    xhrFields: {
+      withCredentials: request.withCredentials
+    },
+    complete: request.complete,
+    success: request.success,
+    error: request.error
+  });
+};
@@ -0,0 +1,67 @@
+/**
+ * Shared response handling for the built-in transports that don't rely on
+ * jQuery. It turns a finished request into the same callback sequence $.ajax
+ * produces, so the mixin can treat every transport the same way:
+ *
+ *   - success(data, status, xhr) for 2xx and 304 responses with valid JSON,
+ *     where status is 'success', 'nocontent' (204) or 'notmodified' (304)
+ *   - error(xhr, status, err) for anything else, where status is one of
+ *     'error', 'parsererror', 'timeout' or 'abort'
+ *   - complete(xhr, status) after either of the above
+ *
+ * The xhr object passed around is a minimal jqXHR look-alike, exposing status,
+ * statusText, responseText, responseJSON and getResponseHeader.
+ */
+
+var parseJson = function(text) {
+  return text ? JSON.parse(text) : undefined;
+};
+
+/**
+ * @param {Object} request The request options received by the transport.
+ * @param {Object} xhr jqXHR-like object describing the finished request.
+ */
+exports.settle = function(request, xhr) {
+  var data,
+      status = 'success';
+
+  if (xhr.status < 200 || xhr.status >= 300 && xhr.status !== 304) {
+    try {
+      xhr.responseJSON = parseJson(xhr.responseText);
+    } catch (e) {
+      // Error responses aren't required to be JSON
+    }
+
+    exports.fail(request, xhr, 'error', xhr.statusText || 'error');
+    return;
+  }
+
+  try {
+    data = parseJson(xhr.responseText);
+  } catch (e) {
+    exports.fail(request, xhr, 'parsererror', e);
+    return;
+  }
+
+  xhr.responseJSON = data;
+
+  if (xhr.status === 204) {
+    status = 'nocontent';
+  } else if (xhr.status === 304) {
+    status = 'notmodified';
+  }
+
+  request.success(data, status, xhr);
+  request.complete(xhr, status);
+};
+
+/**
+ * @param {Object} request The request options received by the transport.
+ * @param {Object} xhr jqXHR-like object describing the failed request.
+ * @param {String} status The type of error.
+ * @param {String|Error} err The error message.
+ */
+exports.fail = function(request, xhr, status, err) {
+  request.error(xhr, status, err);
+  request.complete(xhr, status);
+};
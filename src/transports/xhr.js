@@ -0,0 +1,68 @@
+var settle = require('./response.js').settle,
+    fail = require('./response.js').fail;
+
+/**
+ * Dependency-free transport built on a raw XMLHttpRequest. This is the default
+ * transport of the mixin.
+ *
+ * @param {String} url
+ * @param {Object} request See the transport contract in data-fetch-mixin.js.
+ *
+ * @returns {Object} An object with an abort method.
+ */
+module.exports = function(url, request) {
+  var xhr = new XMLHttpRequest(),
+      finished = false;
+
+  var getResponse = function() {
+    return {
+      status: xhr.status,
+      statusText: xhr.statusText,
+      responseText: xhr.responseText,
+      getResponseHeader: function(name) {
+        return xhr.getResponseHeader(name);
+      }
+    };
+  };
+
+  xhr.open(request.method, url, true);
+  xhr.withCredentials = request.withCredentials;
+  xhr.setRequestHeader('Accept', 'application/json');
+
+  for (var name in request.headers) {
+    xhr.setRequestHeader(name, request.headers[name]);
+  }
+
+  xhr.onreadystatechange = function() {
+    if (xhr.readyState !== 4 || finished) {
+      return;
+    }
+
+    finished = true;
+
+    // A status of 0 means the request never reached the server (network
+    // failure, CORS rejection, etc.)
+    if (xhr.status === 0) {
+      fail(request, getResponse(), 'error', 'error');
+    } else {
+      settle(request, getResponse());
+    }
+  };
+
+  xhr.send(request.body === undefined ? null : request.body);
+
+  return {
+    abort: function() {
+      if (finished) {
+        return;
+      }
+
+      // Some browsers fire a last readystatechange event when aborting, which
+      // we need to ignore since the abort is reported right away
+      finished = true;
+      xhr.abort();
+
+      fail(request, {status: 0, statusText: 'abort'}, 'abort', 'abort');
+    }
+  };
+};
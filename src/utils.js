@@ -0,0 +1,46 @@
+/**
+ * Copy the own properties of one or more source objects onto a target object.
+ * Sources are applied in order, so later ones take precedence.
+ *
+ * @param {Object} target
+ * @param {...Object} sources
+ *
+ * @returns {Object} The target object.
+ */
+exports.extend = function(target) {
+  for (var i = 1; i < arguments.length; i++) {
+    var source = arguments[i];
+
+    if (!source) {
+      continue;
+    }
+
+    for (var key in source) {
+      if (Object.prototype.hasOwnProperty.call(source, key)) {
+        target[key] = source[key];
+      }
+    }
+  }
+
+  return target;
+};
+
+/**
+ * Fill in the properties of an object that are undefined, from an object of
+ * default values.
+ *
+ * @param {Object} target
+ * @param {Object} defaults
+ *
+ * @returns {Object} The target object.
+ */
+exports.defaults = function(target, defaults) {
+  for (var key in defaults) {
+    if (Object.prototype.hasOwnProperty.call(defaults, key) &&
+        target[key] === undefined) {
+      target[key] = defaults[key];
+    }
+  }
+
+  return target;
+};
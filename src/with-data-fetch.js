@@ -0,0 +1,33 @@
+var React = require('react'),
+    extend = require('./utils.js').extend,
+    createContainer = require('./container.js');
+
+/**
+ * Higher-order component counterpart of the mixin. The wrapped component
+ * receives its own props, plus the data fetching state (data,
+ * isFetchingData, dataError, etc.) and methods (refreshData, stopPolling,
+ * resumePolling, etc.) as props.
+ *
+ *   var UserList = withDataFetch({crossDomain: true})(UserListView);
+ *   <UserList dataUrl="/api/users" pollInterval={5000} />
+ *
+ * @param {Object} [options] Mixin options (see data-fetch-mixin.js), along
+ *     with any of the methods components implement to customize the mixin,
+ *     e.g. getDataUrl or transformData.
+ *
+ * @returns {Function} Function that receives a component and returns the
+ *     wrapping component.
+ */
+module.exports = function(options) {
+  return function(Component) {
+    var name = Component.displayName || Component.name || 'Component';
+
+    return createContainer(options, {
+      displayName: 'withDataFetch(' + name + ')',
+      render: function(dataProps) {
+        return React.createElement(Component,
+                                   extend({}, this.props, dataProps));
+      }
+    });
+  };
+};
@@ -0,0 +1,73 @@
+var dataErrors = require('../src/data-error.js');
+
+describe('Data errors', function() {
+  describe('type', function() {
+    it('should classify aborts', function() {
+      expect(dataErrors.getType({status: 0}, 'abort')).to.equal('abort');
+    });
+
+    it('should classify timeouts', function() {
+      expect(dataErrors.getType({status: 0}, 'timeout')).to.equal('timeout');
+    });
+
+    it('should classify invalid JSON', function() {
+      expect(dataErrors.getType({status: 200}, 'parsererror'))
+            .to.equal('parse');
+    });
+
+    it('should classify requests without response', function() {
+      expect(dataErrors.getType({status: 0}, 'error')).to.equal('network');
+    });
+
+    it('should classify error responses', function() {
+      expect(dataErrors.getType({status: 404}, 'error')).to.equal('http');
+    });
+  });
+
+  describe('retryable', function() {
+    it('should retry network errors and timeouts', function() {
+      expect(dataErrors.isRetryable('network', 0)).to.equal(true);
+      expect(dataErrors.isRetryable('timeout', 0)).to.equal(true);
+    });
+
+    it('should only retry 5xx responses', function() {
+      expect(dataErrors.isRetryable('http', 503)).to.equal(true);
+      expect(dataErrors.isRetryable('http', 404)).to.equal(false);
+    });
+
+    it('should not retry aborts and bad data', function() {
+      expect(dataErrors.isRetryable('abort', 0)).to.equal(false);
+      expect(dataErrors.isRetryable('parse', 200)).to.equal(false);
+      expect(dataErrors.isRetryable('validation')).to.equal(false);
+    });
+  });
+
+  it('should keep raw response body', function() {
+    var dataError = dataErrors.fromRequest({
+      url: '/api/users',
+      method: 'GET',
+      headers: {}
+    }, 1000, {
+      status: 502,
+      responseText: '<h1>Bad Gateway</h1>'
+    }, 'error', 'Bad Gateway');
+
+    expect(dataError.responseText).to.equal('<h1>Bad Gateway</h1>');
+    expect(dataError.response).to.equal(undefined);
+  });
+
+  it('should describe validation errors', function() {
+    var dataError = dataErrors.fromValidation({
+      url: '/api/users',
+      method: 'GET',
+      headers: {}
+    }, null, {}, [{path: '', message: 'should be array'}]);
+
+    expect(dataError).to.include({
+      type: 'validation',
+      retryable: false,
+      message: 'Invalid data at (root)',
+      requestedAt: null
+    });
+  });
+});
@@ -0,0 +1,77 @@
+var $ = require('jquery'),
+    createDataFetch = require('../src/data-fetch-component.js'),
+    jqueryTransport = require('../src/transports/jquery.js');
+
+describe('DataFetch component', function() {
+  var DataFetch, instance, render;
+
+  var mount = function(props) {
+    instance = new DataFetch(Object.assign({}, DataFetch.defaultProps, props));
+
+    // Apply state changes right away, without a renderer
+    instance.setState = function(update) {
+      this.state = Object.assign({}, this.state, update);
+    };
+
+    instance.componentWillMount();
+  };
+
+  beforeEach(function() {
+    $.ajax = sinon.stub().returns({
+      abort: function() {}
+    });
+
+    DataFetch = createDataFetch({
+      transport: jqueryTransport
+    });
+
+    render = sinon.stub().returns(null);
+  });
+
+  it('should fetch url prop on mount', function() {
+    mount({url: '/api/users', children: render});
+
+    expect($.ajax.args[0][0].url).to.equal('/api/users');
+  });
+
+  it('should call child function with data fetching state', function() {
+    mount({url: '/api/users', children: render});
+    $.ajax.args[0][0].success(['John']);
+
+    instance.render();
+
+    var dataProps = render.lastCall.args[0];
+    expect(dataProps.data).to.deep.equal(['John']);
+    expect(dataProps.isFetchingData).to.equal(false);
+    expect(dataProps.dataError).to.equal(null);
+    expect(dataProps.refreshData).to.be.a('function');
+  });
+
+  it('should support render prop', function() {
+    mount({url: '/api/users', render: render});
+
+    instance.render();
+
+    expect(render).to.have.been.called;
+  });
+
+  it('should poll url prop', function() {
+    var clock = sinon.useFakeTimers();
+
+    mount({url: '/api/users', pollInterval: 1000, children: render});
+    clock.tick(1000);
+    instance.componentWillUnmount();
+    clock.restore();
+
+    expect($.ajax).to.have.been.calledTwice;
+    expect($.ajax.args[1][0].url).to.equal('/api/users');
+  });
+
+  it('should refetch when url prop changes', function() {
+    mount({url: '/api/users', children: render});
+
+    instance.componentWillReceiveProps({url: '/api/posts', children: render});
+
+    expect($.ajax.args[1][0].url).to.equal('/api/posts');
+  });
+});
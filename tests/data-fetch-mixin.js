@@ -1,10 +1,30 @@
 var random = require('lodash.random'),
     $ = require('jquery'),
-    DataFetch = require('../src/data-fetch-mixin.js');
+    DataFetch = require('../src/data-fetch-mixin.js'),
+    jqueryTransport = require('../src/transports/jquery.js'),
+    createResponseCache = require('../src/response-cache.js'),
+    serverRendering = require('../src/server-rendering.js'),
+    pageVisibility = require('../src/page-visibility.js'),
+    networkStatus = require('../src/network-status.js'),
+    createPersistence = require('../src/persistence.js'),
+    createRequestQueue = require('../src/request-queue.js');
 
 describe('DataFetch mixin', function() {
   var ajaxStub, fakeComponent;
 
+  // The state the fake component would have, after all setState calls
+  var getState = function() {
+    return Object.assign.apply(Object, [{}].concat(
+        fakeComponent.setState.args.map(function(args) {
+          return args[0];
+        })));
+  };
+
+  var respond = function(index, data, status, xhr) {
+    $.ajax.args[index][0].success.call(fakeComponent, data, status, xhr);
+    $.ajax.args[index][0].complete(xhr || {}, status || 'success');
+  };
+
   beforeEach(function() {
     ajaxStub = {
       abort: function() {}
@@ -23,7 +43,9 @@ describe('DataFetch mixin', function() {
 
   describe('same domain', function() {
     beforeEach(function() {
-      Object.assign(fakeComponent, DataFetch());
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport
+      }));
     });
 
     it('should call $.ajax with dataUrl prop on mount', function() {
@@ -103,10 +125,13 @@ describe('DataFetch mixin', function() {
 
     it('should call $.ajax with receiveDataFromServer callback', function() {
       fakeComponent.props.dataUrl = 'my-api.json';
+      fakeComponent.receiveDataFromServer = sinon.spy();
       fakeComponent.componentWillMount();
 
-      expect($.ajax.args[0][0].success)
-            .to.equal(fakeComponent.receiveDataFromServer);
+      $.ajax.args[0][0].success({name: 'John Doe'});
+
+      expect(fakeComponent.receiveDataFromServer)
+            .to.have.been.calledWith({name: 'John Doe'});
     });
 
     it('should populate state.data with returned data', function() {
@@ -498,9 +523,222 @@ describe('DataFetch mixin', function() {
     });
   });
 
+  describe('URL change detection', function() {
+    var clock;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.getDataUrl = function(props) {
+        return '/api/users/' + props.userId;
+      };
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should refetch when getDataUrl resolves a new URL', function() {
+      fakeComponent.props.userId = 1;
+      fakeComponent.componentWillMount();
+
+      fakeComponent.componentWillReceiveProps({userId: 2});
+
+      expect($.ajax.lastCall.args[0].url).to.equal('/api/users/2');
+    });
+
+    it('should not refetch when resolved URL is the same', function() {
+      fakeComponent.props.userId = 1;
+      fakeComponent.componentWillMount();
+
+      fakeComponent.componentWillReceiveProps({userId: 1, other: true});
+
+      expect($.ajax).to.have.been.calledOnce;
+    });
+
+    it('should poll URL resolved from latest props', function() {
+      fakeComponent.props.userId = 1;
+      fakeComponent.props.pollInterval = 1000;
+      fakeComponent.componentWillMount();
+
+      fakeComponent.componentWillReceiveProps({
+        userId: 2,
+        pollInterval: 1000
+      });
+      $.ajax.reset();
+
+      clock.tick(3000);
+
+      expect($.ajax).to.have.always.been.calledWith(
+          sinon.match.has('url', '/api/users/2'));
+    });
+
+    describe('with custom comparator', function() {
+      beforeEach(function() {
+        fakeComponent.shouldRefetchData = sinon.spy(function(props,
+                                                             nextProps) {
+          return props.filter !== nextProps.filter;
+        });
+
+        fakeComponent.props.userId = 1;
+        fakeComponent.props.filter = 'active';
+        fakeComponent.props.pollInterval = 1000;
+        fakeComponent.componentWillMount();
+      });
+
+      it('should call comparator with current and next props', function() {
+        var nextProps = {userId: 1, filter: 'all', pollInterval: 1000};
+
+        fakeComponent.componentWillReceiveProps(nextProps);
+
+        expect(fakeComponent.shouldRefetchData).to.have.been.calledWith(
+            fakeComponent.props, nextProps);
+      });
+
+      it('should refetch when comparator says so', function() {
+        fakeComponent.componentWillReceiveProps({
+          userId: 1,
+          filter: 'all',
+          pollInterval: 1000
+        });
+
+        expect($.ajax).to.have.been.calledTwice;
+      });
+
+      it('should not refetch when comparator says otherwise', function() {
+        fakeComponent.componentWillReceiveProps({
+          userId: 2,
+          filter: 'active',
+          pollInterval: 1000
+        });
+
+        expect($.ajax).to.have.been.calledOnce;
+      });
+
+      it('should still poll URL resolved from latest props', function() {
+        fakeComponent.componentWillReceiveProps({
+          userId: 2,
+          filter: 'active',
+          pollInterval: 1000
+        });
+
+        clock.tick(1000);
+
+        expect($.ajax.lastCall.args[0].url).to.equal('/api/users/2');
+      });
+    });
+  });
+
+  describe('data request', function() {
+    beforeEach(function() {
+      Object.assign(fakeComponent, DataFetch({
+        cache: createResponseCache(),
+        transport: jqueryTransport
+      }));
+    });
+
+    it('should send method, headers and body from dataRequest prop',
+       function() {
+      fakeComponent.props.dataRequest = {
+        url: '/api/search',
+        method: 'POST',
+        headers: {'X-Foo': 'bar'},
+        body: {query: 'foo'}
+      };
+
+      fakeComponent.componentWillMount();
+
+      var ajaxOptions = $.ajax.args[0][0];
+      expect(ajaxOptions.url).to.equal('/api/search');
+      expect(ajaxOptions.type).to.equal('POST');
+      expect(ajaxOptions.headers['X-Foo']).to.equal('bar');
+      expect(ajaxOptions.data).to.equal('{"query":"foo"}');
+    });
+
+    it('should use dataUrl when dataRequest has no URL', function() {
+      fakeComponent.props.dataUrl = '/api/users';
+      fakeComponent.props.dataRequest = {params: {page: 2}};
+
+      fakeComponent.componentWillMount();
+
+      expect($.ajax.args[0][0].url).to.equal('/api/users?page=2');
+    });
+
+    it('should call getDataRequest with props', function() {
+      fakeComponent.getDataRequest = sinon.stub().returns({
+        url: '/api/search',
+        method: 'POST'
+      });
+      fakeComponent.props.someProp = true;
+
+      fakeComponent.componentWillMount();
+
+      expect(fakeComponent.getDataRequest).to.have.been.calledWith({
+        someProp: true
+      });
+      expect($.ajax.args[0][0].type).to.equal('POST');
+    });
+
+    it('should refetch when request body changes', function() {
+      fakeComponent.getDataRequest = function(props) {
+        return {
+          url: '/api/search',
+          method: 'POST',
+          body: {query: props.query}
+        };
+      };
+      fakeComponent.props.query = 'foo';
+      fakeComponent.componentWillMount();
+
+      fakeComponent.componentWillReceiveProps({query: 'bar'});
+
+      expect($.ajax).to.have.been.calledTwice;
+      expect($.ajax.lastCall.args[0].data).to.equal('{"query":"bar"}');
+    });
+
+    it('should not refetch when request is the same', function() {
+      fakeComponent.props.dataRequest = {
+        url: '/api/search',
+        method: 'POST',
+        body: {query: 'foo'}
+      };
+      fakeComponent.componentWillMount();
+
+      fakeComponent.componentWillReceiveProps({
+        dataRequest: {
+          url: '/api/search',
+          method: 'POST',
+          body: {query: 'foo'}
+        }
+      });
+
+      expect($.ajax).to.have.been.calledOnce;
+    });
+
+    it('should not cache non-GET responses', function() {
+      fakeComponent.props.dataRequest = {
+        url: '/api/search',
+        method: 'POST'
+      };
+      fakeComponent.componentWillMount();
+      $.ajax.args[0][0].success.call(fakeComponent, {});
+
+      fakeComponent.componentWillMount();
+
+      expect($.ajax).to.have.been.calledTwice;
+    });
+  });
+
   describe('cross domain', function() {
     beforeEach(function() {
-      Object.assign(fakeComponent, DataFetch({crossDomain: true}));
+      Object.assign(fakeComponent, DataFetch({
+        crossDomain: true,
+        transport: jqueryTransport
+      }));
     });
 
     it('should send cross-domain cookies', function() {
@@ -520,7 +758,10 @@ describe('DataFetch mixin', function() {
     beforeEach(function() {
       errorCallback = sinon.spy();
 
-      Object.assign(fakeComponent, DataFetch({onError: errorCallback}));
+      Object.assign(fakeComponent, DataFetch({
+        onError: errorCallback,
+        transport: jqueryTransport
+      }));
 
       fakeComponent.props.dataUrl = 'my-api.json';
 
@@ -541,5 +782,3030 @@ describe('DataFetch mixin', function() {
     it('should call the error callback with the right context', function() {
       expect(errorCallback).to.have.been.calledOn(context);
     });
+
+    it('should ignore errors when onError is undefined', function() {
+      var component = Object.assign({
+        setState: sinon.spy(),
+        props: {dataUrl: 'my-api.json'}
+      }, DataFetch({
+        onError: undefined,
+        transport: jqueryTransport
+      }));
+
+      component.componentWillMount();
+
+      expect(function() {
+        $.ajax.args[1][0].error({status: 500}, 'error', 'oops');
+      }).to.not.throw();
+    });
+
+    it('should use the default transport when undefined', function() {
+      var NativeXMLHttpRequest = global.XMLHttpRequest,
+          component = Object.assign({
+            setState: sinon.spy(),
+            props: {dataUrl: 'my-api.json'}
+          }, DataFetch({
+            transport: undefined
+          }));
+
+      global.XMLHttpRequest = sinon.stub().returns({
+        open: sinon.spy(),
+        setRequestHeader: function() {},
+        send: function() {},
+        abort: function() {}
+      });
+
+      try {
+        component.componentWillMount();
+      } finally {
+        global.XMLHttpRequest = NativeXMLHttpRequest;
+      }
+
+      expect(component.setState).to.have.been.calledWith(
+          sinon.match.has('isFetchingData', true));
+    });
+  });
+
+  describe('custom transport', function() {
+    var transport, request;
+
+    beforeEach(function() {
+      request = {
+        abort: sinon.spy()
+      };
+      transport = sinon.stub().returns(request);
+
+      Object.assign(fakeComponent, DataFetch({transport: transport}));
+
+      fakeComponent.props.dataUrl = 'my-api.json';
+      fakeComponent.componentWillMount();
+    });
+
+    it('should make requests through the given transport', function() {
+      expect(transport).to.have.been.calledWith('my-api.json',
+                                                sinon.match.has('method',
+                                                                'GET'));
+      expect($.ajax).to.not.have.been.called;
+    });
+
+    it('should pass credentials flag to transport', function() {
+      expect(transport.args[0][1].withCredentials).to.equal(false);
+    });
+
+    it('should abort transport requests when unmounting', function() {
+      fakeComponent.componentWillUnmount();
+
+      expect(request.abort).to.have.been.called;
+    });
+
+    it('should populate dataError from transport errors', function() {
+      var clock = sinon.useFakeTimers(1000);
+
+      fakeComponent.refreshData();
+      clock.tick(200);
+      transport.args[1][1].error({
+        status: 500,
+        responseJSON: {error: 'oops'},
+        responseText: '{"error": "oops"}'
+      }, 'error', 'Internal Server Error');
+      clock.restore();
+
+      var dataError = fakeComponent.setState.lastCall.args[0].dataError;
+      expect(dataError).to.deep.equal({
+        type: 'http',
+        retryable: true,
+        url: 'my-api.json',
+        statusCode: 500,
+        statusText: 'error',
+        message: 'Internal Server Error',
+        response: {error: 'oops'},
+        responseText: '{"error": "oops"}',
+        request: {
+          url: 'my-api.json',
+          method: 'GET',
+          headers: {},
+          body: undefined
+        },
+        requestedAt: 1000,
+        failedAt: 1200
+      });
+    });
+  });
+
+  describe('response cache', function() {
+    var cache;
+
+    beforeEach(function() {
+      cache = createResponseCache({
+        ttl: 1000,
+        staleWhileRevalidate: true
+      });
+
+      Object.assign(fakeComponent, DataFetch({
+        cache: cache,
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.props.dataUrl = 'my-api.json';
+    });
+
+    it('should store received data in cache', function() {
+      fakeComponent.componentWillMount();
+
+      $.ajax.args[0][0].success({name: 'John Doe'});
+
+      expect(cache.get('my-api.json').data).to.deep.equal({name: 'John Doe'});
+      expect(fakeComponent.setState.lastCall.args[0].data).to.deep.equal({
+        name: 'John Doe'
+      });
+    });
+
+    it('should populate data from cache without fetching', function() {
+      cache.set('my-api.json', {name: 'John Doe'});
+
+      fakeComponent.componentWillMount();
+
+      expect($.ajax).to.not.have.been.called;
+      expect(fakeComponent.setState.lastCall.args[0]).to.deep.equal({
+        isFetchingData: false,
+        dataError: null,
+        data: {name: 'John Doe'}
+      });
+    });
+
+    it('should bypass fresh cache entries when refreshing', function() {
+      cache.set('my-api.json', {name: 'John Doe'});
+
+      fakeComponent.componentWillMount();
+      fakeComponent.refreshData();
+
+      expect($.ajax.args[0][0].url).to.equal('my-api.json');
+
+      $.ajax.args[0][0].success({name: 'Jane Doe'});
+
+      expect(cache.get('my-api.json').data).to.deep.equal({name: 'Jane Doe'});
+    });
+
+    describe('with stale entry', function() {
+      var clock;
+
+      beforeEach(function() {
+        clock = sinon.useFakeTimers();
+
+        cache.set('my-api.json', {name: 'John Doe'});
+        clock.tick(1000);
+
+        fakeComponent.componentWillMount();
+      });
+
+      afterEach(function() {
+        clock.restore();
+      });
+
+      it('should populate stale data right away', function() {
+        expect(fakeComponent.setState.args[0][0].data).to.deep.equal({
+          name: 'John Doe'
+        });
+      });
+
+      it('should refresh data in the background', function() {
+        expect($.ajax.args[0][0].url).to.equal('my-api.json');
+      });
+    });
+  });
+
+  describe('request deduplication', function() {
+    var otherComponent;
+
+    beforeEach(function() {
+      ajaxStub.abort = sinon.spy();
+
+      var mixin = DataFetch({
+        dedupe: true,
+        transport: jqueryTransport
+      });
+
+      otherComponent = Object.assign({
+        setState: sinon.spy(),
+        props: {dataUrl: 'my-api.json'}
+      }, mixin);
+
+      Object.assign(fakeComponent, mixin);
+      fakeComponent.props.dataUrl = 'my-api.json';
+
+      // Mimic React's autobinding
+      [fakeComponent, otherComponent].forEach(function(component) {
+        component.receiveDataFromServer =
+            component.receiveDataFromServer.bind(component);
+      });
+
+      fakeComponent.componentWillMount();
+      otherComponent.componentWillMount();
+    });
+
+    afterEach(function() {
+      // Leave no shared request behind for other tests
+      fakeComponent.componentWillUnmount();
+      otherComponent.componentWillUnmount();
+    });
+
+    it('should fetch same URL once for all components', function() {
+      expect($.ajax).to.have.been.calledOnce;
+    });
+
+    it('should send data to all components', function() {
+      $.ajax.args[0][0].success({name: 'John Doe'});
+
+      expect(fakeComponent.setState.lastCall.args[0].data.name)
+            .to.equal('John Doe');
+      expect(otherComponent.setState.lastCall.args[0].data.name)
+            .to.equal('John Doe');
+    });
+
+    it('should keep request alive when one component unmounts', function() {
+      fakeComponent.componentWillUnmount();
+
+      expect(ajaxStub.abort).to.not.have.been.called;
+    });
+
+    it('should abort request when all components unmount', function() {
+      fakeComponent.componentWillUnmount();
+      otherComponent.componentWillUnmount();
+
+      expect(ajaxStub.abort).to.have.been.calledOnce;
+    });
+  });
+
+  describe('retrying', function() {
+    var clock;
+
+    var failRequest = function(index, status) {
+      $.ajax.args[index][0].error({status: status}, 'error', 'oops');
+    };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+
+      Object.assign(fakeComponent, DataFetch({
+        retry: {
+          maxAttempts: 3,
+          baseDelay: 1000,
+          jitter: 0
+        },
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.props.dataUrl = 'my-api.json';
+      fakeComponent.componentWillMount();
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should set retryCount to 0 in initial state', function() {
+      expect(fakeComponent.getInitialState().retryCount).to.equal(0);
+    });
+
+    it('should retry failed request after base delay', function() {
+      failRequest(0, 503);
+
+      clock.tick(999);
+      expect($.ajax).to.have.been.calledOnce;
+
+      clock.tick(1);
+      expect($.ajax).to.have.been.calledTwice;
+      expect($.ajax.lastCall.args[0].url).to.equal('my-api.json');
+    });
+
+    it('should expose when the next retry will be made', function() {
+      failRequest(0, 503);
+
+      var setStateArgs = fakeComponent.setState.lastCall.args[0];
+      expect(setStateArgs.nextRetryAt).to.equal(1000);
+      expect(setStateArgs.dataError.statusCode).to.equal(503);
+    });
+
+    it('should expose number of retries made', function() {
+      failRequest(0, 503);
+      clock.tick(1000);
+
+      var setStateArgs = fakeComponent.setState.lastCall.args[0];
+      expect(setStateArgs.retryCount).to.equal(1);
+      expect(setStateArgs.nextRetryAt).to.equal(null);
+    });
+
+    it('should double delay with every retry', function() {
+      failRequest(0, 503);
+      clock.tick(1000);
+      failRequest(1, 503);
+
+      clock.tick(1999);
+      expect($.ajax).to.have.been.calledTwice;
+
+      clock.tick(1);
+      expect($.ajax).to.have.been.calledThrice;
+    });
+
+    it('should stop retrying after max attempts', function() {
+      failRequest(0, 503);
+      clock.tick(1000);
+      failRequest(1, 503);
+      clock.tick(2000);
+      failRequest(2, 503);
+
+      clock.tick(10000);
+
+      expect($.ajax).to.have.been.calledThrice;
+    });
+
+    it('should not retry client errors', function() {
+      failRequest(0, 404);
+
+      clock.tick(10000);
+
+      expect($.ajax).to.have.been.calledOnce;
+    });
+
+    it('should cancel pending retry when stopping fetching', function() {
+      failRequest(0, 503);
+
+      fakeComponent.stopFetching();
+      clock.tick(10000);
+
+      expect($.ajax).to.have.been.calledOnce;
+      expect(fakeComponent.setState.lastCall.args[0].nextRetryAt)
+            .to.equal(null);
+    });
+
+    it('should cancel pending retry when dataUrl changes', function() {
+      failRequest(0, 503);
+
+      fakeComponent.componentWillReceiveProps({dataUrl: 'my-api2.json'});
+      clock.tick(10000);
+
+      expect($.ajax).to.have.been.calledTwice;
+      expect($.ajax.lastCall.args[0].url).to.equal('my-api2.json');
+    });
+
+    it('should cancel pending retry when unmounting', function() {
+      failRequest(0, 503);
+
+      fakeComponent.componentWillUnmount();
+      clock.tick(10000);
+
+      expect($.ajax).to.have.been.calledOnce;
+    });
+
+    it('should expose retryable errors', function() {
+      failRequest(0, 503);
+
+      expect(getState().dataError.retryable).to.equal(true);
+    });
+
+    describe('with custom predicate', function() {
+      beforeEach(function() {
+        Object.assign(fakeComponent, DataFetch({
+          retry: {
+            shouldRetry: function(xhr) {
+              return xhr.status === 429;
+            }
+          },
+          transport: jqueryTransport
+        }));
+
+        fakeComponent.componentWillMount();
+      });
+
+      it('should expose errors it retries as retryable', function() {
+        failRequest(1, 429);
+
+        expect(getState().dataError.retryable).to.equal(true);
+      });
+
+      it('should expose errors it skips as not retryable', function() {
+        failRequest(1, 503);
+
+        expect(getState().dataError.retryable).to.equal(false);
+      });
+    });
+  });
+
+  describe('adaptive polling', function() {
+    var clock, isHidden, visibilityListener;
+
+    var completeRequest = function(index, status) {
+      $.ajax.args[index][0].complete({}, status);
+    };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+
+      isHidden = false;
+      sinon.stub(pageVisibility, 'isHidden', function() {
+        return isHidden;
+      });
+      sinon.stub(pageVisibility, 'addListener', function(listener) {
+        visibilityListener = listener;
+      });
+      sinon.stub(pageVisibility, 'removeListener');
+
+      Object.assign(fakeComponent, DataFetch({
+        adaptivePolling: {
+          backoffFactor: 2,
+          maxPollInterval: 5000
+        },
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.props.dataUrl = 'my-api.json';
+      fakeComponent.props.pollInterval = 1000;
+    });
+
+    afterEach(function() {
+      clock.restore();
+
+      pageVisibility.isHidden.restore();
+      pageVisibility.addListener.restore();
+      pageVisibility.removeListener.restore();
+    });
+
+    describe('when page is hidden', function() {
+      beforeEach(function() {
+        fakeComponent.componentWillMount();
+
+        $.ajax.reset();
+
+        isHidden = true;
+        visibilityListener();
+      });
+
+      it('should pause polling', function() {
+        clock.tick(10000);
+
+        expect($.ajax).to.not.have.been.called;
+      });
+
+      it('should refetch when page becomes visible', function() {
+        isHidden = false;
+        visibilityListener();
+
+        expect($.ajax).to.have.been.calledOnce;
+      });
+
+      it('should resume polling when page becomes visible', function() {
+        isHidden = false;
+        visibilityListener();
+
+        clock.tick(3000);
+
+        expect($.ajax).to.have.callCount(4);
+      });
+
+      it('should not resume polling if it was stopped', function() {
+        fakeComponent.stopPolling();
+
+        isHidden = false;
+        visibilityListener();
+        clock.tick(3000);
+
+        expect($.ajax).to.not.have.been.called;
+      });
+    });
+
+    it('should not start polling while page is hidden', function() {
+      isHidden = true;
+
+      fakeComponent.componentWillMount();
+      $.ajax.reset();
+
+      clock.tick(10000);
+
+      expect($.ajax).to.not.have.been.called;
+    });
+
+    it('should stop listening to visibility when unmounting', function() {
+      fakeComponent.componentWillMount();
+      fakeComponent.componentWillUnmount();
+
+      expect(pageVisibility.removeListener).to.have.been.calledWith(
+          visibilityListener);
+    });
+
+    describe('on errors', function() {
+      var onComplete;
+
+      beforeEach(function() {
+        fakeComponent.componentWillMount();
+
+        onComplete = $.ajax.args[0][0].complete;
+        onComplete({}, 'error');
+
+        $.ajax.reset();
+      });
+
+      it('should stretch poll interval', function() {
+        clock.tick(1999);
+        expect($.ajax).to.not.have.been.called;
+
+        clock.tick(1);
+        expect($.ajax).to.have.been.calledOnce;
+      });
+
+      it('should keep stretching with consecutive errors', function() {
+        clock.tick(2000);
+        completeRequest(0, 'error');
+
+        clock.tick(3999);
+        expect($.ajax).to.have.been.calledOnce;
+
+        clock.tick(1);
+        expect($.ajax).to.have.been.calledTwice;
+      });
+
+      it('should not stretch poll interval over max', function() {
+        for (var i = 0; i < 5; i++) {
+          onComplete({}, 'error');
+        }
+
+        $.ajax.reset();
+        clock.tick(5000);
+
+        expect($.ajax).to.have.been.calledOnce;
+      });
+
+      it('should restore poll interval after success', function() {
+        onComplete({}, 'success');
+        $.ajax.reset();
+
+        clock.tick(1000);
+
+        expect($.ajax).to.have.been.calledOnce;
+      });
+    });
+  });
+
+  describe('chained polling', function() {
+    var clock;
+
+    var completeLastRequest = function() {
+      var ajaxOptions = $.ajax.lastCall.args[0];
+
+      ajaxOptions.success({});
+      ajaxOptions.complete({}, 'success');
+    };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+
+      Object.assign(fakeComponent, DataFetch({
+        chainedPolling: true,
+        pollTimeout: 5000,
+        transport: jqueryTransport
+      }));
+
+      // Mimic React's autobinding
+      fakeComponent.receiveDataFromServer =
+          fakeComponent.receiveDataFromServer.bind(fakeComponent);
+
+      fakeComponent.props.dataUrl = 'my-api.json';
+      fakeComponent.props.pollInterval = 1000;
+      fakeComponent.componentWillMount();
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should not poll while initial request is in flight', function() {
+      clock.tick(3000);
+
+      expect($.ajax).to.have.been.calledOnce;
+    });
+
+    it('should schedule next poll after request completes', function() {
+      clock.tick(3000);
+      completeLastRequest();
+
+      clock.tick(999);
+      expect($.ajax).to.have.been.calledOnce;
+
+      clock.tick(1);
+      expect($.ajax).to.have.been.calledTwice;
+    });
+
+    it('should keep polling as requests complete', function() {
+      for (var i = 0; i < 3; i++) {
+        completeLastRequest();
+        clock.tick(1000);
+      }
+
+      expect($.ajax).to.have.callCount(4);
+    });
+
+    it('should skip tick while another request is in flight', function() {
+      completeLastRequest();
+
+      clock.tick(500);
+      fakeComponent.refreshData();
+      clock.tick(500);
+
+      expect($.ajax).to.have.been.calledTwice;
+    });
+
+    it('should stop polling when told to do so', function() {
+      completeLastRequest();
+
+      fakeComponent.stopPolling();
+      clock.tick(3000);
+
+      expect($.ajax).to.have.been.calledOnce;
+    });
+
+    describe('when poll request times out', function() {
+      beforeEach(function() {
+        ajaxStub.abort = sinon.spy(function() {
+          $.ajax.lastCall.args[0].error({status: 0}, 'abort', 'abort');
+          $.ajax.lastCall.args[0].complete({status: 0}, 'abort');
+        });
+
+        completeLastRequest();
+        clock.tick(1000);
+        clock.tick(5000);
+      });
+
+      it('should abort poll request', function() {
+        expect(ajaxStub.abort).to.have.been.calledOnce;
+      });
+
+      it('should set timeout dataError', function() {
+        var dataError = fakeComponent.setState.lastCall.args[0].dataError;
+
+        expect(dataError.statusText).to.equal('timeout');
+        expect(dataError.message).to.equal('timeout');
+      });
+
+      it('should keep polling after timeout', function() {
+        clock.tick(1000);
+
+        expect($.ajax).to.have.callCount(3);
+      });
+    });
+  });
+
+  describe('named data sources', function() {
+    var clock;
+
+    var getRequest = function(url) {
+      for (var i = $.ajax.args.length - 1; i >= 0; i--) {
+        if ($.ajax.args[i][0].url === url) {
+          return $.ajax.args[i][0];
+        }
+      }
+    };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+      ajaxStub.abort = sinon.spy();
+
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport
+      }));
+
+      // Apply state changes, including updater functions
+      fakeComponent.setState = sinon.spy(function(update) {
+        if (typeof update === 'function') {
+          update = update(fakeComponent.state, fakeComponent.props);
+        }
+
+        fakeComponent.state = Object.assign({}, fakeComponent.state, update);
+      });
+
+      fakeComponent.props.dataSources = {
+        users: '/api/users',
+        permissions: {
+          url: '/api/permissions',
+          pollInterval: 1000
+        }
+      };
+
+      fakeComponent.state = fakeComponent.getInitialState();
+      fakeComponent.componentWillMount();
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should fetch every source on mount', function() {
+      expect($.ajax).to.have.been.calledTwice;
+      expect(getRequest('/api/users')).to.exist;
+      expect(getRequest('/api/permissions')).to.exist;
+    });
+
+    it('should set data under source key', function() {
+      getRequest('/api/users').success.call(null, [{name: 'John Doe'}]);
+
+      expect(fakeComponent.state.data).to.deep.equal({
+        users: [{name: 'John Doe'}]
+      });
+      expect(fakeComponent.state.dataStatus.users.isFetchingData)
+            .to.equal(false);
+    });
+
+    it('should aggregate isFetchingData', function() {
+      getRequest('/api/users').success([]);
+
+      expect(fakeComponent.state.isFetchingData).to.equal(true);
+
+      getRequest('/api/permissions').success([]);
+
+      expect(fakeComponent.state.isFetchingData).to.equal(false);
+    });
+
+    it('should set dataError per source and aggregate it', function() {
+      getRequest('/api/permissions').error({status: 403}, 'error',
+                                           'Forbidden');
+
+      var dataError = fakeComponent.state.dataStatus.permissions.dataError;
+      expect(dataError.statusCode).to.equal(403);
+      expect(dataError.source).to.equal('permissions');
+      expect(fakeComponent.state.dataError).to.equal(dataError);
+      expect(fakeComponent.state.dataStatus.users.dataError).to.equal(null);
+    });
+
+    it('should poll sources with their own interval', function() {
+      $.ajax.reset();
+
+      clock.tick(3000);
+
+      expect($.ajax).to.have.callCount(3);
+      expect($.ajax).to.have.always.been.calledWith(
+          sinon.match.has('url', '/api/permissions'));
+    });
+
+    it('should refresh a single source', function() {
+      $.ajax.reset();
+
+      fakeComponent.refreshData('users');
+
+      expect($.ajax).to.have.been.calledOnce;
+      expect($.ajax.args[0][0].url).to.equal('/api/users');
+    });
+
+    it('should refresh all sources', function() {
+      $.ajax.reset();
+
+      fakeComponent.refreshData();
+
+      expect($.ajax).to.have.been.calledTwice;
+    });
+
+    it('should stop polling a single source', function() {
+      $.ajax.reset();
+
+      fakeComponent.stopPolling('permissions');
+      clock.tick(3000);
+
+      expect($.ajax).to.not.have.been.called;
+    });
+
+    it('should only abort requests of changed source', function() {
+      var nextProps = {
+        dataSources: {
+          users: '/api/users?active=1',
+          permissions: {
+            url: '/api/permissions',
+            pollInterval: 1000
+          }
+        }
+      };
+
+      fakeComponent.componentWillReceiveProps(nextProps);
+
+      expect(ajaxStub.abort).to.have.been.calledOnce;
+      expect($.ajax.lastCall.args[0].url).to.equal('/api/users?active=1');
+    });
+
+    it('should remove sources that are no longer declared', function() {
+      getRequest('/api/users').success([]);
+
+      fakeComponent.componentWillReceiveProps({
+        dataSources: {
+          users: '/api/users'
+        }
+      });
+      $.ajax.reset();
+      clock.tick(3000);
+
+      expect($.ajax).to.not.have.been.called;
+      expect(fakeComponent.state.dataStatus).to.have.keys(['users']);
+    });
+
+    it('should use getDataSources if defined', function() {
+      fakeComponent.getDataSources = sinon.stub().returns({
+        settings: '/api/settings'
+      });
+      $.ajax.reset();
+
+      fakeComponent.componentWillMount();
+
+      expect(fakeComponent.getDataSources).to.have.been.calledWith(
+          fakeComponent.props);
+      expect($.ajax.args[0][0].url).to.equal('/api/settings');
+    });
+  });
+
+  describe('data processing', function() {
+    beforeEach(function() {
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.props.dataUrl = 'my-api.json';
+    });
+
+    describe('with transformData', function() {
+      beforeEach(function() {
+        fakeComponent.transformData = sinon.spy(function(rawData) {
+          return rawData.items;
+        });
+
+        fakeComponent.componentWillMount();
+        $.ajax.args[0][0].success.call(fakeComponent, {items: [1, 2]});
+      });
+
+      it('should call transformData with raw data and props', function() {
+        expect(fakeComponent.transformData).to.have.been.calledWith(
+            {items: [1, 2]}, fakeComponent.props);
+      });
+
+      it('should set transformed data in state', function() {
+        expect(fakeComponent.setState.lastCall.args[0].data)
+              .to.deep.equal([1, 2]);
+      });
+    });
+
+    describe('with dataSchema', function() {
+      beforeEach(function() {
+        fakeComponent.dataSchema = {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {type: 'string'}
+          }
+        };
+
+        fakeComponent.componentWillMount();
+      });
+
+      it('should set valid data in state', function() {
+        $.ajax.args[0][0].success.call(fakeComponent, {name: 'John Doe'});
+
+        expect(fakeComponent.setState.lastCall.args[0].data)
+              .to.deep.equal({name: 'John Doe'});
+      });
+
+      it('should set validation dataError for invalid data', function() {
+        $.ajax.args[0][0].success.call(fakeComponent, {name: 42});
+
+        var setStateArgs = fakeComponent.setState.lastCall.args[0];
+        expect(setStateArgs.data).to.equal(undefined);
+        expect(setStateArgs.isFetchingData).to.equal(false);
+        expect(setStateArgs.dataError.type).to.equal('validation');
+        expect(setStateArgs.dataError.url).to.equal('my-api.json');
+        expect(setStateArgs.dataError.errors).to.deep.equal([{
+          path: 'name',
+          message: 'should be string'
+        }]);
+      });
+    });
+
+    it('should validate schema from props', function() {
+      fakeComponent.props.dataSchema = {type: 'array'};
+      fakeComponent.componentWillMount();
+
+      $.ajax.args[0][0].success.call(fakeComponent, {});
+
+      expect(fakeComponent.setState.lastCall.args[0].dataError.type)
+            .to.equal('validation');
+    });
+
+    it('should transform cached data', function() {
+      var cache = createResponseCache();
+      cache.set('my-api.json', {items: [1, 2]});
+
+      Object.assign(fakeComponent, DataFetch({
+        cache: cache,
+        transport: jqueryTransport
+      }));
+      fakeComponent.transformData = function(rawData) {
+        return rawData.items;
+      };
+
+      fakeComponent.componentWillMount();
+
+      expect(fakeComponent.setState.lastCall.args[0].data)
+            .to.deep.equal([1, 2]);
+    });
+  });
+
+  describe('pagination', function() {
+    beforeEach(function() {
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.getPageUrl = function(props, page) {
+        return '/api/users?page=' + page;
+      };
+    });
+
+    it('should set pagination flags in initial state', function() {
+      expect(fakeComponent.getInitialState()).to.include({
+        hasMore: false,
+        isFetchingPage: false,
+        pageError: null
+      });
+    });
+
+    it('should fetch initial page on mount', function() {
+      fakeComponent.componentWillMount();
+
+      expect($.ajax.args[0][0].url).to.equal('/api/users?page=1');
+    });
+
+    it('should start from initialPage prop', function() {
+      fakeComponent.props.initialPage = 3;
+      fakeComponent.componentWillMount();
+
+      expect($.ajax.args[0][0].url).to.equal('/api/users?page=3');
+    });
+
+    describe('after receiving initial page', function() {
+      beforeEach(function() {
+        fakeComponent.componentWillMount();
+        respond(0, [1, 2]);
+      });
+
+      it('should set initial page data', function() {
+        expect(getState().data).to.deep.equal([1, 2]);
+        expect(getState().hasMore).to.equal(true);
+      });
+
+      it('should fetch next page', function() {
+        fakeComponent.loadNextPage();
+
+        expect($.ajax.args[1][0].url).to.equal('/api/users?page=2');
+        expect(getState().isFetchingPage).to.equal(true);
+      });
+
+      it('should merge next page into data', function() {
+        fakeComponent.loadNextPage();
+        respond(1, [3, 4]);
+
+        expect(getState().data).to.deep.equal([1, 2, 3, 4]);
+        expect(getState().isFetchingPage).to.equal(false);
+      });
+
+      it('should not load same page twice at once', function() {
+        fakeComponent.loadNextPage();
+        fakeComponent.loadNextPage();
+
+        expect($.ajax).to.have.been.calledTwice;
+      });
+
+      it('should not have more after empty page', function() {
+        fakeComponent.loadNextPage();
+        respond(1, []);
+
+        fakeComponent.loadNextPage();
+
+        expect(getState().hasMore).to.equal(false);
+        expect($.ajax).to.have.been.calledTwice;
+      });
+
+      it('should set pageError when page fails', function() {
+        fakeComponent.loadNextPage();
+        $.ajax.args[1][0].error({status: 500}, 'error', 'oops');
+
+        var pageError = getState().pageError;
+        expect(pageError.page).to.equal(2);
+        expect(pageError.statusCode).to.equal(500);
+        expect(getState().isFetchingPage).to.equal(false);
+        expect(getState().dataError).to.equal(null);
+      });
+
+      it('should use custom merge function', function() {
+        fakeComponent.mergePages = function(pagesData) {
+          return pagesData.length;
+        };
+
+        fakeComponent.loadNextPage();
+        respond(1, [3]);
+
+        expect(getState().data).to.equal(2);
+      });
+    });
+
+    it('should prepend previous page', function() {
+      fakeComponent.props.initialPage = 2;
+      fakeComponent.componentWillMount();
+      respond(0, [3, 4]);
+
+      fakeComponent.loadPreviousPage();
+      respond(1, [1, 2]);
+
+      expect($.ajax.args[1][0].url).to.equal('/api/users?page=1');
+      expect(getState().data).to.deep.equal([1, 2, 3, 4]);
+      expect(getState().hasPrevious).to.equal(false);
+    });
+
+    it('should follow cursors', function() {
+      fakeComponent.getPageUrl = function(props, cursor) {
+        return '/api/users' + (cursor ? '?after=' + cursor : '');
+      };
+      fakeComponent.getNextPage = function(pageData) {
+        return pageData.next;
+      };
+      fakeComponent.mergePages = function(pagesData) {
+        return pagesData.reduce(function(items, pageData) {
+          return items.concat(pageData.items);
+        }, []);
+      };
+      fakeComponent.props.initialPage = null;
+
+      fakeComponent.componentWillMount();
+      respond(0, {items: [1], next: 'abc'});
+      fakeComponent.loadNextPage();
+      respond(1, {items: [2], next: null});
+
+      expect($.ajax.args[1][0].url).to.equal('/api/users?after=abc');
+      expect(getState().data).to.deep.equal([1, 2]);
+      expect(getState().hasMore).to.equal(false);
+    });
+
+    describe('polling', function() {
+      var clock;
+
+      beforeEach(function() {
+        clock = sinon.useFakeTimers();
+      });
+
+      afterEach(function() {
+        clock.restore();
+      });
+
+      var loadTwoPages = function() {
+        fakeComponent.props.pollInterval = 1000;
+        fakeComponent.componentWillMount();
+        respond(0, [1, 2]);
+        fakeComponent.loadNextPage();
+        respond(1, [3, 4]);
+        $.ajax.reset();
+      };
+
+      it('should only refresh first page by default', function() {
+        loadTwoPages();
+
+        clock.tick(1000);
+        respond(0, [0, 1]);
+
+        expect($.ajax).to.have.been.calledOnce;
+        expect($.ajax.args[0][0].url).to.equal('/api/users?page=1');
+        expect(getState().data).to.deep.equal([0, 1, 3, 4]);
+      });
+
+      it('should refresh all loaded pages when asked', function() {
+        Object.assign(fakeComponent, DataFetch({
+          pollPages: 'all',
+          transport: jqueryTransport
+        }));
+        loadTwoPages();
+
+        clock.tick(1000);
+        respond(1, [5, 6]);
+
+        expect($.ajax).to.have.been.calledTwice;
+        expect($.ajax.args[1][0].url).to.equal('/api/users?page=2');
+        expect(getState().data).to.deep.equal([1, 2, 5, 6]);
+      });
+
+      describe('chained', function() {
+        beforeEach(function() {
+          Object.assign(fakeComponent, DataFetch({
+            chainedPolling: true,
+            pollPages: 'all',
+            transport: jqueryTransport
+          }));
+          fakeComponent.props.pollInterval = 1000;
+          fakeComponent.componentWillMount();
+          respond(0, [1, 2]);
+        });
+
+        it('should keep polling after loading a page', function() {
+          clock.tick(500);
+          fakeComponent.loadNextPage();
+
+          // The poll is skipped while the page request is in flight
+          clock.tick(500);
+          respond(1, [3, 4]);
+          $.ajax.reset();
+
+          clock.tick(1000);
+
+          expect($.ajax.args[0][0].url).to.equal('/api/users?page=1');
+        });
+
+        it('should keep polling after refreshing all pages', function() {
+          fakeComponent.loadNextPage();
+          respond(1, [3, 4]);
+          $.ajax.reset();
+
+          clock.tick(1000);
+          respond(0, [1, 2]);
+          respond(1, [3, 4]);
+          $.ajax.reset();
+
+          clock.tick(1000);
+
+          expect($.ajax).to.have.been.calledTwice;
+          expect($.ajax.args[0][0].url).to.equal('/api/users?page=1');
+        });
+      });
+    });
+  });
+
+  describe('mutations', function() {
+    var addUser = function(users) {
+      return users.concat('Jane');
+    };
+
+    beforeEach(function() {
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.props.dataUrl = '/api/users';
+      fakeComponent.state = {data: ['John']};
+      fakeComponent.componentWillMount();
+      $.ajax.reset();
+    });
+
+    it('should apply optimistic update right away', function() {
+      fakeComponent.mutateData({body: {name: 'Jane'}}, addUser);
+
+      expect(fakeComponent.setState).to.have.been.calledWith({
+        data: ['John', 'Jane'],
+        isMutatingData: true,
+        mutationError: null
+      });
+    });
+
+    it('should send write request to data URL', function() {
+      fakeComponent.mutateData({body: {name: 'Jane'}}, addUser);
+
+      var request = $.ajax.args[0][0];
+      expect(request.url).to.equal('/api/users');
+      expect(request.type).to.equal('POST');
+      expect(request.data).to.equal('{"name":"Jane"}');
+    });
+
+    it('should keep optimistic data on success', function() {
+      fakeComponent.mutateData({}, addUser);
+      $.ajax.args[0][0].success({});
+
+      expect(getState().data).to.deep.equal(['John', 'Jane']);
+      expect(getState().isMutatingData).to.equal(false);
+    });
+
+    it('should merge server reply when asked', function() {
+      fakeComponent.mutateData({}, addUser, {
+        mergeResponse: function(users, user) {
+          return users.slice(0, -1).concat(user.name);
+        }
+      });
+      $.ajax.args[0][0].success({name: 'Jane Doe'});
+
+      expect(getState().data).to.deep.equal(['John', 'Jane Doe']);
+    });
+
+    it('should refetch data on success when asked', function() {
+      fakeComponent.mutateData({}, addUser, {refetch: true});
+      $.ajax.args[0][0].success({});
+
+      expect($.ajax.args[1][0].url).to.equal('/api/users');
+      expect($.ajax.args[1][0].type).to.equal('GET');
+    });
+
+    it('should roll back and set mutationError on failure', function() {
+      var clock = sinon.useFakeTimers(1000);
+
+      fakeComponent.mutateData({body: {name: 'Jane'}}, addUser);
+      $.ajax.args[0][0].error({status: 500}, 'error', 'Server Error');
+      clock.restore();
+
+      expect(getState().data).to.deep.equal(['John']);
+      expect(getState().mutationError).to.deep.equal({
+        type: 'http',
+        retryable: true,
+        url: '/api/users',
+        statusCode: 500,
+        statusText: 'error',
+        message: 'Server Error',
+        response: undefined,
+        responseText: undefined,
+        request: {
+          url: '/api/users',
+          method: 'POST',
+          headers: {'Content-Type': 'application/json'},
+          body: '{"name":"Jane"}'
+        },
+        requestedAt: 1000,
+        failedAt: 1000
+      });
+    });
+
+    it('should only roll back the failed mutation', function() {
+      fakeComponent.mutateData({}, addUser);
+      fakeComponent.mutateData({}, function(users) {
+        return users.concat('Jim');
+      });
+      $.ajax.args[0][0].error({status: 500}, 'error', 'Server Error');
+
+      expect(getState().data).to.deep.equal(['John', 'Jim']);
+      expect(getState().isMutatingData).to.equal(true);
+    });
+
+    it('should ignore data responses while mutating', function() {
+      fakeComponent.refreshData();
+      fakeComponent.mutateData({}, addUser);
+      $.ajax.args[0][0].success.call(fakeComponent, ['Bob']);
+
+      expect(getState().data).to.deep.equal(['John', 'Jane']);
+      expect(getState().isFetchingData).to.equal(false);
+    });
+
+    it('should mutate named data source', function() {
+      delete fakeComponent.props.dataUrl;
+      fakeComponent.props.dataSources = {users: '/api/members'};
+      fakeComponent.state = {data: {users: ['John']}};
+      fakeComponent.componentWillMount();
+      $.ajax.reset();
+
+      fakeComponent.mutateData({}, addUser, {source: 'users'});
+
+      var updater = fakeComponent.setState.lastCall.args[0];
+      expect(updater({data: {}, dataStatus: {}}).data).to.deep.equal({
+        users: ['John', 'Jane']
+      });
+      expect($.ajax.args[0][0].url).to.equal('/api/members');
+    });
+
+    it('should send write request without a request object', function() {
+      fakeComponent.mutateData(undefined, addUser);
+
+      expect($.ajax.args[0][0].url).to.equal('/api/users');
+      expect($.ajax.args[0][0].type).to.equal('POST');
+    });
+
+    describe('with response cache', function() {
+      var cache;
+
+      beforeEach(function() {
+        cache = createResponseCache({ttl: 60000});
+
+        Object.assign(fakeComponent, DataFetch({
+          cache: cache,
+          transport: jqueryTransport
+        }));
+
+        fakeComponent.componentWillMount();
+        respond(0, ['John']);
+        fakeComponent.state = getState();
+        $.ajax.reset();
+      });
+
+      it('should invalidate cached data on success', function() {
+        fakeComponent.mutateData({}, addUser);
+        $.ajax.args[0][0].success({});
+
+        expect(cache.get('/api/users')).to.be.null;
+      });
+
+      it('should keep cached data on failure', function() {
+        fakeComponent.mutateData({}, addUser);
+        $.ajax.args[0][0].error({status: 500}, 'error', 'Server Error');
+
+        expect(cache.get('/api/users').data).to.deep.equal(['John']);
+      });
+
+      it('should refetch from server when asked', function() {
+        fakeComponent.mutateData({}, addUser, {refetch: true});
+        $.ajax.args[0][0].success({});
+
+        expect($.ajax.args[1][0].url).to.equal('/api/users');
+        expect(getState().data).to.deep.equal(['John', 'Jane']);
+      });
+    });
+  });
+
+  describe('server rendering', function() {
+    var mixin, Component;
+
+    beforeEach(function() {
+      mixin = DataFetch({
+        transport: jqueryTransport
+      });
+
+      Component = function() {};
+      Component.prototype = Object.assign({}, mixin);
+      Component.defaultProps = mixin.getDefaultProps();
+
+      Object.assign(fakeComponent, mixin);
+    });
+
+    afterEach(function() {
+      serverRendering.hydrate({});
+    });
+
+    describe('fetching data ahead', function() {
+      var callback;
+
+      beforeEach(function() {
+        callback = sinon.spy();
+      });
+
+      it('should request data URL', function() {
+        mixin.statics.fetchData.call(Component, {dataUrl: '/api/users'},
+                                     callback);
+
+        expect($.ajax.args[0][0].url).to.equal('/api/users');
+      });
+
+      it('should call back with payload', function() {
+        mixin.statics.fetchData.call(Component, {dataUrl: '/api/users'},
+                                     callback);
+
+        $.ajax.args[0][0].success(['John']);
+        $.ajax.args[0][0].complete({}, 'success');
+
+        expect(callback).to.have.been.calledWith({'/api/users': ['John']});
+      });
+
+      it('should transform data', function() {
+        Component.prototype.transformData = function(data) {
+          return data.users;
+        };
+
+        mixin.statics.fetchData.call(Component, {dataUrl: '/api/users'},
+                                     callback);
+
+        $.ajax.args[0][0].success({users: ['John']});
+        $.ajax.args[0][0].complete({}, 'success');
+
+        expect(callback).to.have.been.calledWith({'/api/users': ['John']});
+      });
+
+      it('should leave failed requests out of payload', function() {
+        mixin.statics.fetchData.call(Component, {dataSources: {
+          users: '/api/users',
+          posts: '/api/posts'
+        }}, callback);
+
+        $.ajax.args[0][0].success(['John']);
+        $.ajax.args[0][0].complete({}, 'success');
+        $.ajax.args[1][0].error({status: 500}, 'error', 'Server Error');
+        $.ajax.args[1][0].complete({}, 'error');
+
+        expect(callback).to.have.been.calledWith({'/api/users': ['John']});
+      });
+
+      it('should call back right away without data URL', function() {
+        mixin.statics.fetchData.call(Component, {}, callback);
+
+        expect($.ajax).to.not.have.been.called;
+        expect(callback).to.have.been.calledWith({});
+      });
+
+      it('should leave timed out requests out of payload', function() {
+        var clock = sinon.useFakeTimers();
+
+        ajaxStub.abort = function() {
+          $.ajax.args[0][0].error({status: 0}, 'abort', 'abort');
+          $.ajax.args[0][0].complete({status: 0}, 'abort');
+        };
+
+        mixin = DataFetch({
+          transport: jqueryTransport,
+          timeout: 5000
+        });
+        Component.prototype = Object.assign({}, mixin);
+
+        mixin.statics.fetchData.call(Component, {dataUrl: '/api/users'},
+                                     callback);
+        clock.tick(5000);
+        clock.restore();
+
+        expect(callback).to.have.been.calledWith({});
+      });
+    });
+
+    describe('rendering on the server', function() {
+      var clock;
+
+      beforeEach(function() {
+        clock = sinon.useFakeTimers();
+
+        fakeComponent.props.dataUrl = '/api/users';
+        fakeComponent.props.pollInterval = 1000;
+
+        serverRendering.renderOnServer(function() {
+          fakeComponent.componentWillMount();
+        });
+      });
+
+      afterEach(function() {
+        clock.restore();
+      });
+
+      it('should not fetch data', function() {
+        expect($.ajax).to.not.have.been.called;
+      });
+
+      it('should not poll', function() {
+        clock.tick(1000);
+
+        expect($.ajax).to.not.have.been.called;
+      });
+    });
+
+    describe('hydrating', function() {
+      beforeEach(function() {
+        serverRendering.hydrate({
+          '/api/users': ['John'],
+          '/api/posts': ['Hello']
+        });
+      });
+
+      it('should populate initial state with preloaded data', function() {
+        fakeComponent.props.dataUrl = '/api/users';
+
+        expect(fakeComponent.getInitialState().data)
+              .to.deep.equal(['John']);
+      });
+
+      it('should not request preloaded data on mount', function() {
+        fakeComponent.props.dataUrl = '/api/users';
+        fakeComponent.getInitialState();
+        fakeComponent.componentWillMount();
+
+        expect($.ajax).to.not.have.been.called;
+      });
+
+      it('should populate named sources with preloaded data', function() {
+        fakeComponent.props.dataSources = {
+          users: '/api/users',
+          comments: '/api/comments'
+        };
+        var initialState = fakeComponent.getInitialState();
+        fakeComponent.componentWillMount();
+
+        expect(initialState.data).to.deep.equal({users: ['John']});
+        expect($.ajax).to.have.been.calledOnce;
+        expect($.ajax.args[0][0].url).to.equal('/api/comments');
+      });
+
+      it('should still poll preloaded data', function() {
+        var clock = sinon.useFakeTimers();
+
+        fakeComponent.props.dataUrl = '/api/users';
+        fakeComponent.props.pollInterval = 1000;
+        fakeComponent.getInitialState();
+        fakeComponent.componentWillMount();
+        clock.tick(1000);
+        clock.restore();
+
+        expect($.ajax).to.have.been.calledOnce;
+      });
+
+      it('should fetch data when mounted again', function() {
+        fakeComponent.props.dataUrl = '/api/users';
+        fakeComponent.getInitialState();
+        fakeComponent.componentWillMount();
+
+        fakeComponent.getInitialState();
+        fakeComponent.componentWillMount();
+
+        expect($.ajax).to.have.been.calledOnce;
+      });
+    });
+  });
+
+  describe('conditional requests', function() {
+    var clock;
+
+    var createXhr = function(status, headers) {
+      return {
+        status: status,
+        getResponseHeader: function(name) {
+          return headers && headers[name] || null;
+        }
+      };
+    };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport,
+        conditionalRequests: true
+      }));
+
+      fakeComponent.props.dataUrl = '/api/users';
+      fakeComponent.props.pollInterval = 1000;
+      fakeComponent.componentWillMount();
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should not send validators with first request', function() {
+      expect($.ajax.args[0][0].headers).to.deep.equal({});
+    });
+
+    it('should send back validators of previous response', function() {
+      respond(0, ['John'], 'success', createXhr(200, {
+        ETag: '"abc"',
+        'Last-Modified': 'Mon, 19 Oct 2015 10:00:00 GMT'
+      }));
+
+      clock.tick(1000);
+
+      expect($.ajax.args[1][0].headers).to.deep.equal({
+        'If-None-Match': '"abc"',
+        'If-Modified-Since': 'Mon, 19 Oct 2015 10:00:00 GMT'
+      });
+    });
+
+    it('should not set state when revalidating data', function() {
+      respond(0, ['John'], 'success', createXhr(200, {ETag: '"abc"'}));
+      fakeComponent.setState.reset();
+
+      clock.tick(1000);
+      respond(1, undefined, 'notmodified', createXhr(304));
+
+      expect(fakeComponent.setState).to.not.have.been.called;
+    });
+
+    it('should receive data that changed', function() {
+      respond(0, ['John'], 'success', createXhr(200, {ETag: '"abc"'}));
+
+      clock.tick(1000);
+      respond(1, ['John', 'Jane'], 'success', createXhr(200, {ETag: '"def"'}));
+
+      expect(fakeComponent.setState).to.have.been.calledWith({
+        isFetchingData: false,
+        dataError: null,
+        data: ['John', 'Jane']
+      });
+
+      clock.tick(1000);
+
+      expect($.ajax.args[2][0].headers['If-None-Match']).to.equal('"def"');
+    });
+
+    it('should not send validators after error', function() {
+      respond(0, ['John'], 'success', createXhr(200, {ETag: '"abc"'}));
+
+      clock.tick(1000);
+      $.ajax.args[1][0].error(createXhr(500), 'error', 'Server Error');
+
+      clock.tick(1000);
+
+      expect($.ajax.args[2][0].headers).to.deep.equal({});
+    });
+
+    it('should not send validators to different URL', function() {
+      respond(0, ['John'], 'success', createXhr(200, {ETag: '"abc"'}));
+
+      fakeComponent.componentWillReceiveProps({
+        dataUrl: '/api/posts',
+        pollInterval: 1000
+      });
+
+      expect($.ajax.args[1][0].headers).to.deep.equal({});
+    });
+  });
+
+  describe('structural sharing', function() {
+    beforeEach(function() {
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport,
+        structuralSharing: true
+      }));
+
+      fakeComponent.state = {
+        data: {users: [{name: 'John'}], total: 1}
+      };
+    });
+
+    it('should not set data when structurally unchanged', function() {
+      fakeComponent.receiveDataFromServer({users: [{name: 'John'}], total: 1});
+
+      expect(fakeComponent.setState).to.have.been.calledWith({
+        isFetchingData: false,
+        dataError: null
+      });
+    });
+
+    it('should share unchanged objects with current data', function() {
+      var users = fakeComponent.state.data.users;
+
+      fakeComponent.receiveDataFromServer({users: [{name: 'John'}], total: 2});
+
+      var data = fakeComponent.setState.lastCall.args[0].data;
+      expect(data).to.deep.equal({users: [{name: 'John'}], total: 2});
+      expect(data.users).to.equal(users);
+    });
+
+    it('should not set data of unchanged named source', function() {
+      fakeComponent.props.dataSources = {users: '/api/users'};
+      fakeComponent.state = {data: {users: ['John']}, dataStatus: {}};
+      fakeComponent.componentWillMount();
+
+      $.ajax.args[0][0].success(['John']);
+
+      var updater = fakeComponent.setState.lastCall.args[0],
+          state = updater(fakeComponent.state);
+      expect(state.data).to.equal(fakeComponent.state.data);
+    });
+
+    describe('when polling', function() {
+      var clock;
+
+      beforeEach(function() {
+        clock = sinon.useFakeTimers();
+
+        fakeComponent.setState = sinon.spy(function(update) {
+          if (typeof update === 'function') {
+            update = update(fakeComponent.state, fakeComponent.props);
+          }
+
+          fakeComponent.state = Object.assign({}, fakeComponent.state, update);
+        });
+
+        fakeComponent.props.pollInterval = 1000;
+      });
+
+      afterEach(function() {
+        clock.restore();
+      });
+
+      it('should not update state for unchanged data', function() {
+        fakeComponent.props.dataUrl = '/api/users';
+        fakeComponent.componentWillMount();
+        respond(0, {users: [{name: 'John'}], total: 1});
+        fakeComponent.setState.reset();
+
+        clock.tick(1000);
+        respond(1, {users: [{name: 'John'}], total: 1});
+
+        expect(fakeComponent.setState).to.not.have.been.called;
+      });
+
+      it('should update state for changed data', function() {
+        fakeComponent.props.dataUrl = '/api/users';
+        fakeComponent.componentWillMount();
+        respond(0, {users: [{name: 'John'}], total: 1});
+
+        clock.tick(1000);
+        respond(1, {users: [{name: 'John'}], total: 2});
+
+        expect(fakeComponent.state.data.total).to.equal(2);
+        expect(fakeComponent.state.isFetchingData).to.equal(false);
+      });
+
+      it('should not update state for unchanged named source', function() {
+        fakeComponent.props.dataSources = {users: '/api/users'};
+        fakeComponent.state = fakeComponent.getInitialState();
+        fakeComponent.componentWillMount();
+        respond(0, ['John']);
+        fakeComponent.setState.reset();
+
+        clock.tick(1000);
+        respond(1, ['John']);
+
+        expect(fakeComponent.setState).to.not.have.been.called;
+      });
+    });
+  });
+
+  describe('data streams', function() {
+    var clock, streamTransport, connection;
+
+    var getStream = function(index) {
+      return streamTransport.args[index || 0][1];
+    };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+
+      connection = {
+        close: sinon.spy()
+      };
+      streamTransport = sinon.stub().returns(connection);
+
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport,
+        streamTransport: streamTransport,
+        streamReconnect: {
+          baseDelay: 1000,
+          jitter: 0
+        }
+      }));
+
+      fakeComponent.props.dataUrl = '/api/users';
+      fakeComponent.props.dataStreamUrl = 'ws://example.com/users';
+      fakeComponent.props.pollInterval = 5000;
+      fakeComponent.state = {data: ['John']};
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should set stream status in initial state', function() {
+      expect(fakeComponent.getInitialState().streamStatus).to.equal(null);
+    });
+
+    it('should connect to stream URL on mount', function() {
+      fakeComponent.componentWillMount();
+
+      expect(streamTransport.args[0][0]).to.equal('ws://example.com/users');
+      expect(fakeComponent.setState).to.have.been.calledWith({
+        streamStatus: 'connecting'
+      });
+    });
+
+    it('should fetch data URL on mount', function() {
+      fakeComponent.componentWillMount();
+
+      expect($.ajax.args[0][0].url).to.equal('/api/users');
+    });
+
+    it('should set stream status when open', function() {
+      fakeComponent.componentWillMount();
+      getStream().open();
+
+      expect(fakeComponent.setState).to.have.been.calledWith({
+        streamStatus: 'open'
+      });
+    });
+
+    it('should replace data with pushed messages', function() {
+      fakeComponent.componentWillMount();
+      getStream().open();
+      getStream().message(['John', 'Jane']);
+
+      expect(getState().data).to.deep.equal(['John', 'Jane']);
+      expect(getState().dataError).to.equal(null);
+    });
+
+    it('should ignore pushed messages while mutating', function() {
+      fakeComponent.componentWillMount();
+      fakeComponent.mutateData({}, function(users) {
+        return users.concat('Jane');
+      });
+      getStream().message(['Bob']);
+
+      expect(getState().data).to.deep.equal(['John', 'Jane']);
+    });
+
+    it('should not set structurally unchanged messages', function() {
+      Object.assign(fakeComponent, DataFetch({
+        streamTransport: streamTransport,
+        structuralSharing: true,
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.componentWillMount();
+      respond(0, ['John']);
+      fakeComponent.state = Object.assign(fakeComponent.state, getState());
+      fakeComponent.setState.reset();
+
+      getStream().message(['John']);
+      expect(fakeComponent.setState).to.not.have.been.called;
+    });
+
+    it('should not connect with named data sources', function() {
+      fakeComponent.props.dataSources = {users: '/api/users'};
+      fakeComponent.componentWillMount();
+
+      expect(streamTransport).to.not.have.been.called;
+      expect(fakeComponent.getInitialState()).to.not.have.property(
+          'streamStatus');
+    });
+
+    it('should apply pushed messages through reducer', function() {
+      fakeComponent.reduceStreamData = sinon.spy(function(data, message) {
+        return data.concat(message.added);
+      });
+
+      fakeComponent.componentWillMount();
+      getStream().message({added: 'Jane'});
+
+      expect(fakeComponent.reduceStreamData).to.have.been.calledWith(
+          ['John'], {added: 'Jane'}, fakeComponent.props);
+      expect(getState().data).to.deep.equal(['John', 'Jane']);
+    });
+
+    it('should not poll while stream is open', function() {
+      fakeComponent.componentWillMount();
+      getStream().open();
+      $.ajax.reset();
+
+      clock.tick(5000);
+
+      expect($.ajax).to.not.have.been.called;
+    });
+
+    it('should fall back to polling when disconnected', function() {
+      fakeComponent.componentWillMount();
+      getStream().open();
+      getStream().close();
+      $.ajax.reset();
+
+      clock.tick(5000);
+
+      expect($.ajax).to.have.been.calledOnce;
+      expect(fakeComponent.setState).to.have.been.calledWith({
+        streamStatus: 'disconnected'
+      });
+    });
+
+    it('should reconnect with backoff', function() {
+      fakeComponent.componentWillMount();
+      getStream().close();
+
+      clock.tick(1000);
+      expect(streamTransport).to.have.been.calledTwice;
+
+      getStream(1).close();
+
+      clock.tick(1999);
+      expect(streamTransport).to.have.been.calledTwice;
+
+      clock.tick(1);
+      expect(streamTransport).to.have.been.calledThrice;
+    });
+
+    it('should close stream on unmount', function() {
+      fakeComponent.componentWillMount();
+      getStream().close();
+      fakeComponent.componentWillUnmount();
+
+      clock.tick(1000);
+
+      expect(streamTransport).to.have.been.calledOnce;
+    });
+
+    it('should ignore messages of replaced stream', function() {
+      fakeComponent.componentWillMount();
+
+      fakeComponent.componentWillReceiveProps({
+        dataUrl: '/api/users',
+        dataStreamUrl: 'ws://example.com/users/active',
+        pollInterval: 5000
+      });
+      fakeComponent.setState.reset();
+
+      getStream(0).message(['Jim']);
+
+      expect(connection.close).to.have.been.calledOnce;
+      expect(streamTransport.args[1][0])
+            .to.equal('ws://example.com/users/active');
+      expect(fakeComponent.setState).to.not.have.been.called;
+    });
+
+    it('should resume polling when stream URL is removed', function() {
+      fakeComponent.componentWillMount();
+      getStream().open();
+
+      fakeComponent.componentWillReceiveProps({
+        dataUrl: '/api/users',
+        pollInterval: 5000
+      });
+      $.ajax.reset();
+
+      clock.tick(5000);
+
+      expect($.ajax).to.have.been.calledOnce;
+      expect(fakeComponent.setState).to.have.been.calledWith({
+        streamStatus: null
+      });
+    });
+  });
+
+  describe('middleware', function() {
+    beforeEach(function() {
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport,
+        middleware: [function(request, next, done) {
+          request.headers['X-Request-Id'] = '123';
+          next(request, done);
+        }]
+      }));
+
+      fakeComponent.props.dataUrl = '/api/users';
+      fakeComponent.componentWillMount();
+    });
+
+    it('should send data requests through middleware', function() {
+      expect($.ajax.args[0][0].headers['X-Request-Id']).to.equal('123');
+    });
+
+    it('should receive data through middleware', function() {
+      $.ajax.args[0][0].success(['John'], 'success', {status: 200});
+
+      expect(fakeComponent.setState).to.have.been.calledWith({
+        isFetchingData: false,
+        dataError: null,
+        data: ['John']
+      });
+    });
+  });
+
+  describe('typed errors', function() {
+    var getDataError = function() {
+      return fakeComponent.setState.lastCall.args[0].dataError;
+    };
+
+    beforeEach(function() {
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.props.dataUrl = '/api/users';
+      fakeComponent.componentWillMount();
+    });
+
+    it('should classify network errors', function() {
+      $.ajax.args[0][0].error({status: 0}, 'error', 'error');
+
+      expect(getDataError()).to.include({
+        type: 'network',
+        retryable: true
+      });
+    });
+
+    it('should classify parse errors', function() {
+      $.ajax.args[0][0].error({
+        status: 200,
+        responseText: 'not json'
+      }, 'parsererror', 'Unexpected token');
+
+      expect(getDataError()).to.include({
+        type: 'parse',
+        retryable: false,
+        responseText: 'not json'
+      });
+    });
+
+    it('should classify validation errors', function() {
+      fakeComponent.props.dataSchema = {type: 'array'};
+      fakeComponent.refreshData();
+
+      $.ajax.args[1][0].success.call(fakeComponent, {});
+
+      expect(getDataError()).to.include({
+        type: 'validation',
+        retryable: false
+      });
+      expect(getDataError().request.url).to.equal('/api/users');
+    });
+
+    it('should ignore errors of superseded requests', function() {
+      var firstRequest = $.ajax.args[0][0];
+      ajaxStub.abort = function() {
+        firstRequest.error({status: 0}, 'abort', 'abort');
+      };
+
+      fakeComponent.componentWillReceiveProps({
+        dataUrl: '/api/posts'
+      });
+
+      fakeComponent.setState.args.forEach(function(args) {
+        expect(args[0].dataError).to.not.be.ok;
+      });
+    });
+
+    it('should stop fetching without error', function() {
+      var request = $.ajax.args[0][0];
+      ajaxStub.abort = function() {
+        request.error({status: 0}, 'abort', 'abort');
+      };
+
+      fakeComponent.stopFetching();
+
+      expect(fakeComponent.setState.lastCall.args[0]).to.deep.equal({
+        isFetchingData: false,
+        nextRetryAt: null
+      });
+    });
+
+    it('should still report timeouts', function() {
+      var clock = sinon.useFakeTimers();
+
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport,
+        pollTimeout: 500
+      }));
+      fakeComponent.props.pollInterval = 1000;
+      fakeComponent.componentWillMount();
+      ajaxStub.abort = function() {
+        $.ajax.lastCall.args[0].error({status: 0}, 'abort', 'abort');
+      };
+
+      clock.tick(1500);
+      clock.restore();
+
+      expect(getDataError()).to.include({
+        type: 'timeout',
+        retryable: true
+      });
+    });
+  });
+
+  describe('previous data', function() {
+    var mount = function(previousData) {
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport,
+        previousData: previousData
+      }));
+
+      fakeComponent.props.dataUrl = '/api/users?page=1';
+      fakeComponent.componentWillMount();
+      $.ajax.args[0][0].success.call(fakeComponent, ['John']);
+      fakeComponent.state = getState();
+    };
+
+    var changeUrl = function() {
+      fakeComponent.componentWillReceiveProps({
+        dataUrl: '/api/users?page=2'
+      });
+    };
+
+    it('should set data URL flags in initial state', function() {
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport,
+        previousData: 'keep'
+      }));
+
+      expect(fakeComponent.getInitialState()).to.include({
+        dataUrl: null,
+        isStaleData: false
+      });
+    });
+
+    it('should not set data URL flags by default', function() {
+      mount();
+
+      expect(getState()).to.not.have.property('dataUrl');
+    });
+
+    describe('when kept', function() {
+      beforeEach(function() {
+        mount('keep');
+      });
+
+      it('should set URL of received data', function() {
+        expect(getState()).to.include({
+          dataUrl: '/api/users?page=1',
+          isStaleData: false
+        });
+      });
+
+      it('should mark previous data as stale', function() {
+        changeUrl();
+
+        expect(getState().data).to.deep.equal(['John']);
+        expect(getState()).to.include({
+          dataUrl: '/api/users?page=1',
+          isStaleData: true
+        });
+      });
+
+      it('should keep stale data when new request fails', function() {
+        changeUrl();
+        $.ajax.args[1][0].error({status: 500}, 'error', 'Server Error');
+
+        expect(getState().data).to.deep.equal(['John']);
+        expect(getState().isStaleData).to.equal(true);
+      });
+
+      it('should replace stale data with new data', function() {
+        changeUrl();
+        $.ajax.args[1][0].success.call(fakeComponent, ['Jane']);
+
+        expect(getState().data).to.deep.equal(['Jane']);
+        expect(getState()).to.include({
+          dataUrl: '/api/users?page=2',
+          isStaleData: false
+        });
+      });
+    });
+
+    describe('when cleared', function() {
+      beforeEach(function() {
+        mount('clear');
+      });
+
+      it('should clear data on URL change', function() {
+        changeUrl();
+
+        expect(getState().data).to.equal(undefined);
+        expect(getState()).to.include({
+          dataUrl: null,
+          isStaleData: false
+        });
+      });
+
+      it('should not clear data when refreshing', function() {
+        fakeComponent.refreshData();
+
+        expect(getState().data).to.deep.equal(['John']);
+      });
+    });
+
+    it('should drop late responses for previous URL', function() {
+      mount('keep');
+      fakeComponent.refreshData();
+
+      var lateRequest = $.ajax.args[1][0];
+      changeUrl();
+      lateRequest.success.call(fakeComponent, ['Jim']);
+
+      expect(getState().data).to.deep.equal(['John']);
+      expect(getState().dataUrl).to.equal('/api/users?page=1');
+    });
+  });
+
+  describe('overlapping requests', function() {
+    var clock;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.props.dataUrl = '/api/users';
+      fakeComponent.props.pollInterval = 1000;
+      fakeComponent.componentWillMount();
+
+      // Two polls are sent while the initial request is still in flight
+      clock.tick(2000);
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should drop responses older than received data', function() {
+      respond(2, ['John', 'Jane', 'Jim']);
+      respond(0, ['John']);
+
+      expect(getState().data).to.deep.equal(['John', 'Jane', 'Jim']);
+    });
+
+    it('should apply older responses newer than received data', function() {
+      respond(0, ['John']);
+      respond(1, ['John', 'Jane']);
+
+      expect(getState().data).to.deep.equal(['John', 'Jane']);
+    });
+
+    it('should keep fetching until latest request settles', function() {
+      respond(1, ['John', 'Jane']);
+
+      expect(getState().isFetchingData).to.equal(true);
+
+      respond(2, ['John', 'Jane', 'Jim']);
+
+      expect(getState().isFetchingData).to.equal(false);
+    });
+
+    it('should stop fetching when latest request fails', function() {
+      $.ajax.args[2][0].error({status: 500}, 'error', 'Server Error');
+
+      expect(getState().isFetchingData).to.equal(false);
+
+      respond(1, ['John', 'Jane']);
+
+      expect(getState().isFetchingData).to.equal(false);
+      expect(getState().data).to.deep.equal(['John', 'Jane']);
+    });
+
+    it('should drop errors older than received data', function() {
+      respond(2, ['John', 'Jane', 'Jim']);
+      $.ajax.args[0][0].error({status: 500}, 'error', 'Server Error');
+
+      expect(getState().dataError).to.equal(null);
+    });
+
+    it('should drop errors older than the latest request', function() {
+      $.ajax.args[1][0].error({status: 500}, 'error', 'Server Error');
+
+      expect(getState().dataError).to.equal(null);
+      expect(getState().isFetchingData).to.equal(true);
+    });
+
+    it('should clear errors once data is received', function() {
+      $.ajax.args[2][0].error({status: 500}, 'error', 'Server Error');
+      respond(1, ['John', 'Jane']);
+
+      expect(getState().dataError).to.equal(null);
+    });
+  });
+
+  describe('persistence', function() {
+    var clock, items, storage, isOffline, networkListener;
+
+    var setOffline = function(offline) {
+      isOffline = offline;
+      networkListener();
+    };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+
+      items = {};
+      storage = {
+        getItem: function(key, callback) {
+          callback(items[key] || null);
+        },
+        setItem: function(key, value) {
+          items[key] = value;
+        },
+        removeItem: function(key) {
+          delete items[key];
+        }
+      };
+
+      isOffline = false;
+      sinon.stub(networkStatus, 'isOffline', function() {
+        return isOffline;
+      });
+      sinon.stub(networkStatus, 'addListener', function(listener) {
+        networkListener = listener;
+      });
+      sinon.stub(networkStatus, 'removeListener');
+
+      Object.assign(fakeComponent, DataFetch({
+        persistence: createPersistence({storage: storage}),
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.props.dataUrl = '/api/users';
+    });
+
+    afterEach(function() {
+      clock.restore();
+
+      networkStatus.isOffline.restore();
+      networkStatus.addListener.restore();
+      networkStatus.removeListener.restore();
+    });
+
+    it('should persist received data', function() {
+      fakeComponent.componentWillMount();
+      respond(0, ['John']);
+
+      expect(items['react-data-fetch:/api/users'].data)
+            .to.deep.equal(['John']);
+    });
+
+    it('should not persist responses of other methods', function() {
+      fakeComponent.props.dataRequest = {method: 'POST', body: {}};
+      fakeComponent.componentWillMount();
+      respond(0, ['John']);
+
+      expect(items).to.deep.equal({});
+    });
+
+    it('should seed data on mount and still fetch', function() {
+      createPersistence({storage: storage}).set('/api/users', ['John']);
+
+      fakeComponent.componentWillMount();
+
+      expect(fakeComponent.setState.args[0][0].data).to.deep.equal(['John']);
+      expect($.ajax.args[0][0].url).to.equal('/api/users');
+      expect(getState().isFetchingData).to.equal(true);
+    });
+
+    it('should replace seeded data with received data', function() {
+      createPersistence({storage: storage}).set('/api/users', ['John']);
+
+      fakeComponent.componentWillMount();
+      respond(0, ['John', 'Jane']);
+
+      expect(getState().data).to.deep.equal(['John', 'Jane']);
+    });
+
+    it('should not seed data again when refreshing', function() {
+      createPersistence({storage: storage}).set('/api/users', ['John']);
+
+      fakeComponent.componentWillMount();
+      fakeComponent.setState.reset();
+      fakeComponent.refreshData();
+
+      expect(getState().data).to.be.undefined;
+    });
+
+    it('should not seed invalid data', function() {
+      fakeComponent.dataSchema = {type: 'array'};
+      createPersistence({storage: storage}).set('/api/users', {});
+
+      fakeComponent.componentWillMount();
+
+      expect(getState().data).to.be.undefined;
+      expect(getState().dataError).to.equal(null);
+    });
+
+    describe('with asynchronous storage', function() {
+      beforeEach(function() {
+        var getItem = storage.getItem;
+
+        storage.getItem = function(key, callback) {
+          setTimeout(function() {
+            getItem(key, callback);
+          }, 10);
+        };
+
+        createPersistence({storage: storage}).set('/api/users', ['John']);
+      });
+
+      it('should seed data while fetching', function() {
+        fakeComponent.componentWillMount();
+        clock.tick(10);
+
+        expect(getState().data).to.deep.equal(['John']);
+        expect(getState().isFetchingData).to.equal(true);
+      });
+
+      it('should not seed data after response', function() {
+        fakeComponent.componentWillMount();
+        respond(0, ['John', 'Jane']);
+        clock.tick(10);
+
+        expect(getState().data).to.deep.equal(['John', 'Jane']);
+      });
+
+      it('should not seed data of previous URL', function() {
+        fakeComponent.componentWillMount();
+        fakeComponent.componentWillReceiveProps({dataUrl: '/api/posts'});
+        clock.tick(10);
+
+        expect(getState().data).to.be.undefined;
+      });
+
+      it('should not seed data after unmount', function() {
+        fakeComponent.componentWillMount();
+        fakeComponent.componentWillUnmount();
+        fakeComponent.setState.reset();
+        clock.tick(10);
+
+        expect(fakeComponent.setState).to.not.have.been.called;
+      });
+    });
+
+    describe('when offline', function() {
+      beforeEach(function() {
+        isOffline = true;
+        createPersistence({storage: storage}).set('/api/users', ['John']);
+      });
+
+      it('should expose offline status', function() {
+        expect(fakeComponent.getInitialState().isOffline).to.equal(true);
+      });
+
+      it('should seed data without fetching', function() {
+        fakeComponent.componentWillMount();
+
+        expect($.ajax).to.not.have.been.called;
+        expect(getState().data).to.deep.equal(['John']);
+        expect(getState().isFetchingData).to.equal(false);
+      });
+
+      it('should not poll', function() {
+        fakeComponent.props.pollInterval = 1000;
+        fakeComponent.componentWillMount();
+        clock.tick(5000);
+
+        expect($.ajax).to.not.have.been.called;
+      });
+
+      it('should fetch once back online', function() {
+        fakeComponent.componentWillMount();
+        setOffline(false);
+
+        expect($.ajax).to.have.been.calledOnce;
+        expect(getState().isOffline).to.equal(false);
+      });
+
+      it('should resume polling once back online', function() {
+        fakeComponent.props.pollInterval = 1000;
+        fakeComponent.componentWillMount();
+        setOffline(false);
+        clock.tick(3000);
+
+        expect($.ajax).to.have.callCount(4);
+      });
+    });
+
+    describe('when going offline', function() {
+      beforeEach(function() {
+        fakeComponent.props.pollInterval = 1000;
+        fakeComponent.componentWillMount();
+      });
+
+      it('should expose offline status', function() {
+        setOffline(true);
+
+        expect(getState().isOffline).to.equal(true);
+      });
+
+      it('should abort requests in progress', function() {
+        ajaxStub.abort = sinon.spy();
+        setOffline(true);
+
+        expect(ajaxStub.abort).to.have.been.called;
+        expect(getState().isFetchingData).to.equal(false);
+      });
+
+      it('should suspend polling', function() {
+        respond(0, ['John']);
+        $.ajax.reset();
+
+        setOffline(true);
+        clock.tick(5000);
+
+        expect($.ajax).to.not.have.been.called;
+      });
+
+      it('should suspend refreshing', function() {
+        respond(0, ['John']);
+        $.ajax.reset();
+
+        setOffline(true);
+        fakeComponent.refreshData();
+
+        expect($.ajax).to.not.have.been.called;
+      });
+
+      it('should refetch aborted request once back online', function() {
+        setOffline(true);
+        $.ajax.reset();
+        setOffline(false);
+
+        expect($.ajax).to.have.been.calledOnce;
+        expect(getState().isFetchingData).to.equal(true);
+      });
+
+      it('should poll right away once back online', function() {
+        respond(0, ['John']);
+        setOffline(true);
+        $.ajax.reset();
+
+        setOffline(false);
+
+        expect($.ajax).to.have.been.calledOnce;
+
+        clock.tick(1000);
+
+        expect($.ajax).to.have.been.calledTwice;
+      });
+    });
+
+    it('should stop listening to network status when unmounting', function() {
+      fakeComponent.componentWillMount();
+      fakeComponent.componentWillUnmount();
+
+      expect(networkStatus.removeListener).to.have.been.calledWith(
+          networkListener);
+    });
+  });
+
+  describe('timeouts', function() {
+    var clock;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+
+      ajaxStub.abort = sinon.spy(function() {
+        $.ajax.lastCall.args[0].error({status: 0}, 'abort', 'abort');
+        $.ajax.lastCall.args[0].complete({status: 0}, 'abort');
+      });
+
+      Object.assign(fakeComponent, DataFetch({
+        timeout: 5000,
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.props.dataUrl = '/api/users';
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should abort request after default timeout', function() {
+      fakeComponent.componentWillMount();
+
+      clock.tick(4999);
+      expect(ajaxStub.abort).to.not.have.been.called;
+
+      clock.tick(1);
+      expect(ajaxStub.abort).to.have.been.calledOnce;
+    });
+
+    it('should set timeout dataError', function() {
+      fakeComponent.componentWillMount();
+      clock.tick(5000);
+
+      expect(getState().dataError.type).to.equal('timeout');
+      expect(getState().dataError.retryable).to.equal(true);
+      expect(getState().isFetchingData).to.equal(false);
+    });
+
+    it('should not abort completed request', function() {
+      fakeComponent.componentWillMount();
+      $.ajax.args[0][0].success({});
+      $.ajax.args[0][0].complete({}, 'success');
+
+      clock.tick(5000);
+
+      expect(ajaxStub.abort).to.not.have.been.called;
+    });
+
+    it('should prefer timeout of data request', function() {
+      fakeComponent.props.dataRequest = {timeout: 1000};
+      fakeComponent.componentWillMount();
+
+      clock.tick(1000);
+
+      expect(ajaxStub.abort).to.have.been.calledOnce;
+    });
+
+    it('should time out page requests', function() {
+      fakeComponent.getPageUrl = function(props, page) {
+        return '/api/users?page=' + page;
+      };
+      fakeComponent.componentWillMount();
+      $.ajax.args[0][0].success([{name: 'John'}]);
+      $.ajax.args[0][0].complete({}, 'success');
+
+      fakeComponent.loadNextPage();
+      clock.tick(5000);
+
+      expect(getState().pageError.type).to.equal('timeout');
+    });
+
+    it('should time out mutations', function() {
+      fakeComponent.componentWillMount();
+      $.ajax.args[0][0].success([]);
+      $.ajax.args[0][0].complete({}, 'success');
+
+      fakeComponent.mutateData({
+        url: '/api/users',
+        method: 'POST',
+        timeout: 2000
+      });
+      clock.tick(2000);
+
+      expect(getState().mutationError.type).to.equal('timeout');
+    });
+  });
+
+  describe('request queue', function() {
+    var clock, queue, otherComponent;
+
+    var getUrls = function() {
+      return $.ajax.args.map(function(args) {
+        return args[0].url;
+      });
+    };
+
+    var complete = function(index) {
+      $.ajax.args[index][0].success({});
+      $.ajax.args[index][0].complete({}, 'success');
+    };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+      queue = createRequestQueue({maxConcurrent: 1});
+
+      var mixin = DataFetch({
+        queue: queue,
+        transport: jqueryTransport
+      });
+
+      Object.assign(fakeComponent, mixin);
+      fakeComponent.props.dataUrl = '/api/users';
+
+      otherComponent = Object.assign({
+        setState: sinon.spy(),
+        props: {
+          dataUrl: '/api/posts'
+        }
+      }, mixin);
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should hold requests above the limit', function() {
+      fakeComponent.componentWillMount();
+      otherComponent.componentWillMount();
+
+      expect(getUrls()).to.deep.equal(['/api/users']);
+      expect(otherComponent.setState.lastCall.args[0].isFetchingData)
+            .to.equal(true);
+    });
+
+    it('should send held request once a slot frees up', function() {
+      fakeComponent.componentWillMount();
+      otherComponent.componentWillMount();
+
+      complete(0);
+
+      expect(getUrls()).to.deep.equal(['/api/users', '/api/posts']);
+    });
+
+    it('should send refreshes ahead of polls', function() {
+      otherComponent.props.pollInterval = 1000;
+      fakeComponent.componentWillMount();
+      otherComponent.componentWillMount();
+      complete(0);
+
+      // Both are held while the initial posts request is in flight
+      clock.tick(1000);
+      fakeComponent.refreshData();
+      complete(1);
+
+      expect(getUrls()).to.deep.equal(['/api/users', '/api/posts',
+                                       '/api/users']);
+      expect(queue.countWaiting()).to.equal(1);
+    });
+
+    it('should drop held request when unmounting', function() {
+      fakeComponent.componentWillMount();
+      otherComponent.componentWillMount();
+      otherComponent.componentWillUnmount();
+
+      complete(0);
+
+      expect(getUrls()).to.deep.equal(['/api/users']);
+    });
+
+    it('should not count waiting time towards timeout', function() {
+      Object.assign(otherComponent, DataFetch({
+        queue: queue,
+        timeout: 1000,
+        transport: jqueryTransport
+      }));
+      ajaxStub.abort = sinon.spy();
+
+      fakeComponent.componentWillMount();
+      otherComponent.componentWillMount();
+      clock.tick(5000);
+      complete(0);
+
+      clock.tick(999);
+      expect(ajaxStub.abort).to.not.have.been.called;
+
+      clock.tick(1);
+      expect(ajaxStub.abort).to.have.been.calledOnce;
+    });
+  });
+
+  describe('dependent sources', function() {
+    var orgUrl;
+
+    var getUrls = function() {
+      return $.ajax.args.map(function(args) {
+        return args[0].url;
+      });
+    };
+
+    var mount = function() {
+      fakeComponent.state = fakeComponent.getInitialState();
+      fakeComponent.componentWillMount();
+    };
+
+    var fail = function(index) {
+      $.ajax.args[index][0].error({status: 500}, 'error', 'Server Error');
+      $.ajax.args[index][0].complete({status: 500}, 'error');
+    };
+
+    beforeEach(function() {
+      Object.assign(fakeComponent, DataFetch({
+        transport: jqueryTransport
+      }));
+
+      fakeComponent.setState = sinon.spy(function(update) {
+        if (typeof update === 'function') {
+          update = update(fakeComponent.state, fakeComponent.props);
+        }
+
+        fakeComponent.state = Object.assign({}, fakeComponent.state, update);
+      });
+
+      orgUrl = sinon.spy(function(props, data) {
+        return '/api/orgs/' + data.user.orgId;
+      });
+
+      fakeComponent.props.dataSources = {
+        org: {
+          dependsOn: ['user'],
+          url: orgUrl
+        },
+        user: '/api/users/1'
+      };
+    });
+
+    it('should not fetch dependent source before dependency', function() {
+      mount();
+
+      expect(getUrls()).to.deep.equal(['/api/users/1']);
+      expect(fakeComponent.state.dataStatus.org).to.be.undefined;
+    });
+
+    it('should fetch dependent source once dependency resolves', function() {
+      mount();
+      respond(0, {orgId: 5});
+
+      expect(getUrls()[1]).to.equal('/api/orgs/5');
+    });
+
+    it('should pass props and dependency data to URL function', function() {
+      mount();
+      respond(0, {orgId: 5});
+
+      expect(orgUrl).to.have.been.calledWith(fakeComponent.props, {
+        user: {orgId: 5}
+      });
+    });
+
+    it('should set dependent data under its key', function() {
+      mount();
+      respond(0, {orgId: 5});
+      respond(1, {name: 'Acme'});
+
+      expect(fakeComponent.state.data).to.deep.equal({
+        user: {orgId: 5},
+        org: {name: 'Acme'}
+      });
+    });
+
+    it('should wait for every dependency', function() {
+      fakeComponent.props.dataSources = {
+        user: '/api/users/1',
+        team: '/api/teams/2',
+        members: {
+          dependsOn: ['user', 'team'],
+          url: function(props, data) {
+            return '/api/orgs/' + data.user.orgId + '/teams/' +
+                   data.team.id + '/members';
+          }
+        }
+      };
+      mount();
+
+      respond(0, {orgId: 5});
+      expect($.ajax).to.have.been.calledTwice;
+
+      respond(1, {id: 2});
+      expect(getUrls()[2]).to.equal('/api/orgs/5/teams/2/members');
+    });
+
+    it('should skip dependent source while dependency errors', function() {
+      mount();
+      fail(0);
+
+      expect($.ajax).to.have.been.calledOnce;
+    });
+
+    it('should skip polls while dependency errors', function() {
+      var clock = sinon.useFakeTimers();
+
+      fakeComponent.props.dataSources.org.pollInterval = 1000;
+      mount();
+
+      respond(0, {orgId: 5});
+      respond(1, {name: 'Acme'});
+
+      fakeComponent.refreshData('user');
+      fail(2);
+      clock.tick(1000);
+      clock.restore();
+
+      expect(getUrls()).to.deep.equal(['/api/users/1', '/api/orgs/5',
+                                       '/api/users/1']);
+    });
+
+    it('should fetch dependent source once dependency recovers', function() {
+      mount();
+      fail(0);
+      fakeComponent.refreshData('user');
+      respond(1, {orgId: 5});
+
+      expect(getUrls()[2]).to.equal('/api/orgs/5');
+    });
+
+    it('should refetch dependent source when its URL changes', function() {
+      var clock = sinon.useFakeTimers();
+
+      fakeComponent.props.dataSources.user = {
+        url: '/api/users/1',
+        pollInterval: 1000
+      };
+      mount();
+
+      respond(0, {orgId: 5});
+      respond(1, {name: 'Acme'});
+
+      // A poll of the user reveals a different org
+      clock.tick(1000);
+      respond(2, {orgId: 6});
+      clock.restore();
+
+      expect(getUrls()[3]).to.equal('/api/orgs/6');
+    });
+
+    it('should cascade refresh to dependent sources', function() {
+      mount();
+      respond(0, {orgId: 5});
+      respond(1, {name: 'Acme'});
+
+      fakeComponent.refreshData('user');
+      respond(2, {orgId: 5});
+
+      expect(getUrls()).to.deep.equal(['/api/users/1', '/api/orgs/5',
+                                       '/api/users/1', '/api/orgs/5']);
+    });
+
+    it('should cascade refresh past cached dependent data', function() {
+      Object.assign(fakeComponent, DataFetch({
+        cache: createResponseCache({ttl: 60000}),
+        transport: jqueryTransport
+      }));
+      mount();
+      respond(0, {orgId: 5});
+      respond(1, {name: 'Acme'});
+
+      fakeComponent.refreshData('user');
+      respond(2, {orgId: 5});
+
+      expect(getUrls()).to.deep.equal(['/api/users/1', '/api/orgs/5',
+                                       '/api/users/1', '/api/orgs/5']);
+    });
+
+    it('should cascade through chains of dependent sources', function() {
+      fakeComponent.props.dataSources.plan = {
+        dependsOn: ['org'],
+        url: function(props, data) {
+          return '/api/plans/' + data.org.planId;
+        }
+      };
+      mount();
+
+      respond(0, {orgId: 5});
+      respond(1, {planId: 7});
+      respond(2, {name: 'Pro'});
+
+      fakeComponent.refreshData('user');
+      respond(3, {orgId: 5});
+      respond(4, {planId: 7});
+
+      expect(getUrls().slice(4)).to.deep.equal(['/api/orgs/5',
+                                                '/api/plans/7']);
+    });
+
+    it('should refresh dependent sources only once', function() {
+      mount();
+      respond(0, {orgId: 5});
+      respond(1, {name: 'Acme'});
+
+      fakeComponent.refreshData();
+
+      expect(getUrls()).to.deep.equal(['/api/users/1', '/api/orgs/5',
+                                       '/api/users/1']);
+
+      respond(2, {orgId: 5});
+
+      expect(getUrls()[3]).to.equal('/api/orgs/5');
+    });
+
+    it('should fetch dependent source of cached dependency', function() {
+      var cache = createResponseCache({ttl: 60000});
+
+      cache.set('/api/users/1', {orgId: 5});
+      Object.assign(fakeComponent, DataFetch({
+        cache: cache,
+        transport: jqueryTransport
+      }));
+      mount();
+
+      expect(getUrls()).to.deep.equal(['/api/orgs/5']);
+      respond(0, {name: 'Acme'});
+
+      expect(fakeComponent.state.data.org).to.deep.equal({name: 'Acme'});
+    });
+
+    describe('with server rendering', function() {
+      var Component, callback;
+
+      beforeEach(function() {
+        Component = function() {};
+        Component.prototype = Object.assign({}, fakeComponent);
+
+        callback = sinon.spy();
+      });
+
+      afterEach(function() {
+        serverRendering.hydrate({});
+      });
+
+      it('should fetch dependent sources ahead', function() {
+        fakeComponent.statics.fetchData.call(Component, fakeComponent.props,
+                                             callback);
+        respond(0, {orgId: 5});
+
+        expect(getUrls()).to.deep.equal(['/api/users/1', '/api/orgs/5']);
+        expect(callback).to.not.have.been.called;
+
+        respond(1, {name: 'Acme'});
+
+        expect(callback).to.have.been.calledWith({
+          '/api/users/1': {orgId: 5},
+          '/api/orgs/5': {name: 'Acme'}
+        });
+      });
+
+      it('should leave out dependents of failed sources', function() {
+        fakeComponent.statics.fetchData.call(Component, fakeComponent.props,
+                                             callback);
+        fail(0);
+
+        expect($.ajax).to.have.been.calledOnce;
+        expect(callback).to.have.been.calledWith({});
+      });
+
+      it('should start from preloaded dependent data', function() {
+        serverRendering.hydrate({
+          '/api/users/1': {orgId: 5},
+          '/api/orgs/5': {name: 'Acme'}
+        });
+        mount();
+
+        expect($.ajax).to.not.have.been.called;
+        expect(fakeComponent.state.data).to.deep.equal({
+          user: {orgId: 5},
+          org: {name: 'Acme'}
+        });
+      });
+
+      it('should fetch dependent source of preloaded one', function() {
+        serverRendering.hydrate({
+          '/api/users/1': {orgId: 5}
+        });
+        mount();
+
+        expect(getUrls()).to.deep.equal(['/api/orgs/5']);
+      });
+    });
+
+    it('should not refetch unchanged dependent source on poll', function() {
+      var clock = sinon.useFakeTimers();
+
+      fakeComponent.props.dataSources.user = {
+        url: '/api/users/1',
+        pollInterval: 1000
+      };
+      mount();
+
+      respond(0, {orgId: 5});
+      respond(1, {name: 'Acme'});
+      clock.tick(1000);
+      respond(2, {orgId: 5});
+      clock.restore();
+
+      expect($.ajax).to.have.been.calledThrice;
+    });
   });
 });
@@ -0,0 +1,95 @@
+var dataRequests = require('../src/data-request.js');
+
+describe('Data request', function() {
+  describe('URL', function() {
+    it('should append params as query string', function() {
+      expect(dataRequests.buildUrl('/api/users', {page: 2, q: 'a b'}))
+            .to.equal('/api/users?page=2&q=a%20b');
+    });
+
+    it('should extend existing query string', function() {
+      expect(dataRequests.buildUrl('/api/users?sort=name', {page: 2}))
+            .to.equal('/api/users?sort=name&page=2');
+    });
+
+    it('should skip empty params', function() {
+      expect(dataRequests.buildUrl('/api/users', {page: null}))
+            .to.equal('/api/users');
+    });
+  });
+
+  describe('normalizing', function() {
+    it('should default to GET', function() {
+      expect(dataRequests.normalize({url: '/api/users'})).to.deep.equal({
+        url: '/api/users',
+        method: 'GET',
+        headers: {},
+        body: undefined
+      });
+    });
+
+    it('should serialize object bodies as JSON', function() {
+      var request = dataRequests.normalize({
+        url: '/api/search',
+        method: 'post',
+        body: {query: 'foo'}
+      });
+
+      expect(request.method).to.equal('POST');
+      expect(request.body).to.equal('{"query":"foo"}');
+      expect(request.headers['Content-Type']).to.equal('application/json');
+    });
+
+    it('should send string bodies as they are', function() {
+      var request = dataRequests.normalize({
+        url: '/graphql',
+        method: 'POST',
+        headers: {'Content-Type': 'application/graphql'},
+        body: '{ users { name } }'
+      });
+
+      expect(request.body).to.equal('{ users { name } }');
+      expect(request.headers['Content-Type'])
+            .to.equal('application/graphql');
+    });
+
+    it('should keep timeout', function() {
+      expect(dataRequests.normalize({
+        url: '/api/users',
+        timeout: 5000
+      }).timeout).to.equal(5000);
+    });
+  });
+
+  describe('comparing', function() {
+    var request = dataRequests.normalize({
+      url: '/api/search',
+      method: 'POST',
+      headers: {'X-Foo': 'foo', 'X-Bar': 'bar'},
+      body: {query: 'foo'}
+    });
+
+    it('should match equal requests', function() {
+      expect(dataRequests.isEqual(request, dataRequests.normalize({
+        url: '/api/search',
+        method: 'POST',
+        headers: {'X-Bar': 'bar', 'X-Foo': 'foo'},
+        body: {query: 'foo'}
+      }))).to.equal(true);
+    });
+
+    it('should detect body changes', function() {
+      expect(dataRequests.isEqual(request, dataRequests.normalize({
+        url: '/api/search',
+        method: 'POST',
+        headers: {'X-Foo': 'foo', 'X-Bar': 'bar'},
+        body: {query: 'bar'}
+      }))).to.equal(false);
+    });
+
+    it('should handle missing requests', function() {
+      expect(dataRequests.isEqual(null, null)).to.equal(true);
+      expect(dataRequests.isEqual(request, null)).to.equal(false);
+    });
+  });
+});
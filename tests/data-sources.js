@@ -0,0 +1,88 @@
+var sources = require('../src/data-sources.js');
+
+describe('Data sources', function() {
+  it('should normalize URL definitions', function() {
+    expect(sources.normalizeDefinition('/api/users')).to.deep.equal({
+      url: '/api/users'
+    });
+  });
+
+  it('should keep object definitions', function() {
+    var definition = {url: '/api/users', pollInterval: 1000};
+
+    expect(sources.normalizeDefinition(definition)).to.equal(definition);
+  });
+
+  it('should list dependencies', function() {
+    expect(sources.getDependencies({
+      dependsOn: ['user'],
+      url: function() {}
+    })).to.deep.equal(['user']);
+  });
+
+  it('should list no dependencies by default', function() {
+    expect(sources.getDependencies({url: '/api/users'})).to.deep.equal([]);
+    expect(sources.getDependencies(null)).to.deep.equal([]);
+  });
+
+  describe('state', function() {
+    var state;
+
+    beforeEach(function() {
+      state = sources.mergeSourceState({}, 'users', {
+        isFetchingData: true
+      });
+      state = sources.mergeSourceState(state, 'settings', {
+        isFetchingData: false,
+        data: {theme: 'dark'}
+      });
+    });
+
+    it('should set data under source key', function() {
+      expect(state.data).to.deep.equal({settings: {theme: 'dark'}});
+    });
+
+    it('should set status under source key', function() {
+      expect(state.dataStatus.users.isFetchingData).to.equal(true);
+      expect(state.dataStatus.settings.isFetchingData).to.equal(false);
+    });
+
+    it('should aggregate isFetchingData', function() {
+      expect(state.isFetchingData).to.equal(true);
+
+      state = sources.mergeSourceState(state, 'users', {
+        isFetchingData: false
+      });
+
+      expect(state.isFetchingData).to.equal(false);
+    });
+
+    it('should aggregate dataError', function() {
+      var dataError = {statusCode: 500};
+
+      state = sources.mergeSourceState(state, 'settings', {
+        dataError: dataError
+      });
+
+      expect(state.dataError).to.equal(dataError);
+    });
+
+    it('should keep data identity when data is unchanged', function() {
+      var data = state.data;
+
+      state = sources.mergeSourceState(state, 'settings', {
+        isFetchingData: true,
+        data: data.settings
+      });
+
+      expect(state.data).to.equal(data);
+    });
+
+    it('should remove source state', function() {
+      state = sources.removeSourceState(state, 'users');
+
+      expect(state.dataStatus).to.have.keys(['settings']);
+      expect(state.isFetchingData).to.equal(false);
+    });
+  });
+});
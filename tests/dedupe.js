@@ -0,0 +1,131 @@
+var dedupe = require('../src/dedupe.js');
+
+describe('Request deduplication', function() {
+  var transport, networkRequest, dedupedTransport;
+
+  var createRequest = function(method) {
+    return {
+      method: method || 'GET',
+      withCredentials: false,
+      success: sinon.spy(),
+      error: sinon.spy(),
+      complete: sinon.spy()
+    };
+  };
+
+  beforeEach(function() {
+    networkRequest = {
+      abort: sinon.spy()
+    };
+    transport = sinon.stub().returns(networkRequest);
+
+    dedupedTransport = dedupe(transport);
+  });
+
+  it('should reuse decorated transports', function() {
+    expect(dedupe(transport)).to.equal(dedupedTransport);
+  });
+
+  it('should send concurrent requests for same URL once', function() {
+    dedupedTransport('my-api.json', createRequest());
+    dedupedTransport('my-api.json', createRequest());
+
+    expect(transport).to.have.been.calledOnce;
+  });
+
+  it('should send requests for different URLs separately', function() {
+    dedupedTransport('my-api.json', createRequest());
+    dedupedTransport('my-api2.json', createRequest());
+
+    expect(transport).to.have.been.calledTwice;
+  });
+
+  it('should not coalesce non-GET requests', function() {
+    dedupedTransport('my-api.json', createRequest('POST'));
+    dedupedTransport('my-api.json', createRequest('POST'));
+
+    expect(transport).to.have.been.calledTwice;
+  });
+
+  it('should fan out response to every subscriber', function() {
+    var first = createRequest(),
+        second = createRequest();
+
+    dedupedTransport('my-api.json', first);
+    dedupedTransport('my-api.json', second);
+
+    transport.args[0][1].success({age: 42});
+    transport.args[0][1].complete();
+
+    expect(first.success).to.have.been.calledWith({age: 42});
+    expect(second.success).to.have.been.calledWith({age: 42});
+    expect(first.complete).to.have.been.called;
+    expect(second.complete).to.have.been.called;
+  });
+
+  it('should fan out errors to every subscriber', function() {
+    var first = createRequest(),
+        second = createRequest();
+
+    dedupedTransport('my-api.json', first);
+    dedupedTransport('my-api.json', second);
+
+    transport.args[0][1].error({status: 500}, 'error', 'oops');
+
+    expect(first.error).to.have.been.calledWith({status: 500}, 'error', 'oops');
+    expect(second.error).to.have.been.calledWith({status: 500}, 'error',
+                                                 'oops');
+  });
+
+  it('should send a new request once the previous completes', function() {
+    dedupedTransport('my-api.json', createRequest());
+    transport.args[0][1].complete();
+
+    dedupedTransport('my-api.json', createRequest());
+
+    expect(transport).to.have.been.calledTwice;
+  });
+
+  it('should not abort shared request while subscribers are left',
+     function() {
+    var first = dedupedTransport('my-api.json', createRequest());
+    dedupedTransport('my-api.json', createRequest());
+
+    first.abort();
+
+    expect(networkRequest.abort).to.not.have.been.called;
+  });
+
+  it('should report abort to the unsubscribing subscriber only', function() {
+    var first = createRequest(),
+        second = createRequest();
+
+    var subscription = dedupedTransport('my-api.json', first);
+    dedupedTransport('my-api.json', second);
+
+    subscription.abort();
+
+    expect(first.error).to.have.been.calledWith(sinon.match.object, 'abort');
+    expect(first.complete).to.have.been.called;
+    expect(second.error).to.not.have.been.called;
+  });
+
+  it('should abort shared request when no subscribers are left', function() {
+    var first = dedupedTransport('my-api.json', createRequest()),
+        second = dedupedTransport('my-api.json', createRequest());
+
+    first.abort();
+    second.abort();
+
+    expect(networkRequest.abort).to.have.been.calledOnce;
+  });
+
+  it('should not notify anybody of the shared abort', function() {
+    var first = createRequest();
+
+    dedupedTransport('my-api.json', first).abort();
+    transport.args[0][1].error({status: 0}, 'abort', 'abort');
+
+    expect(first.error).to.have.been.calledOnce;
+  });
+});
@@ -0,0 +1,181 @@
+var applyMiddleware = require('../src/middleware.js');
+
+describe('Middleware', function() {
+  var transport, networkRequest, request;
+
+  var respond = function(index, data) {
+    transport.args[index][1].success(data, 'success', {status: 200});
+  };
+
+  var fail = function(index, statusCode) {
+    transport.args[index][1].error({status: statusCode}, 'error',
+                                   'Unauthorized');
+  };
+
+  beforeEach(function() {
+    networkRequest = {
+      abort: sinon.spy()
+    };
+    transport = sinon.stub().returns(networkRequest);
+
+    request = {
+      method: 'GET',
+      headers: {Accept: 'application/json'},
+      withCredentials: false,
+      success: sinon.spy(),
+      error: sinon.spy(),
+      complete: sinon.spy()
+    };
+  });
+
+  it('should pass through requests and responses', function() {
+    applyMiddleware(transport, [])('my-api.json', request);
+    respond(0, {name: 'John Doe'});
+
+    expect(transport.args[0][0]).to.equal('my-api.json');
+    expect(request.success).to.have.been.calledWith({name: 'John Doe'},
+                                                    'success');
+    expect(request.complete).to.have.been.calledAfter(request.success);
+  });
+
+  it('should let middleware alter outgoing request', function() {
+    applyMiddleware(transport, [function(req, next, done) {
+      req.headers.Authorization = 'Bearer abc';
+      next(req, done);
+    }])('my-api.json', request);
+
+    expect(transport.args[0][1].headers).to.deep.equal({
+      Accept: 'application/json',
+      Authorization: 'Bearer abc'
+    });
+    expect(request.headers).to.deep.equal({Accept: 'application/json'});
+  });
+
+  it('should run middleware in order', function() {
+    var calls = [];
+
+    var createMiddleware = function(name) {
+      return function(req, next, done) {
+        calls.push(name + ' request');
+        next(req, function(response) {
+          calls.push(name + ' response');
+          done(response);
+        });
+      };
+    };
+
+    applyMiddleware(transport, [
+      createMiddleware('first'),
+      createMiddleware('second')
+    ])('my-api.json', request);
+    respond(0, {});
+
+    expect(calls).to.deep.equal([
+      'first request',
+      'second request',
+      'second response',
+      'first response'
+    ]);
+  });
+
+  it('should support async middleware', function() {
+    var clock = sinon.useFakeTimers();
+
+    applyMiddleware(transport, [function(req, next, done) {
+      setTimeout(function() {
+        next(req, done);
+      }, 100);
+    }])('my-api.json', request);
+
+    expect(transport).to.not.have.been.called;
+
+    clock.tick(100);
+    clock.restore();
+
+    expect(transport).to.have.been.calledOnce;
+  });
+
+  it('should let middleware replace response', function() {
+    applyMiddleware(transport, [function(req, next, done) {
+      next(req, function(response) {
+        done({
+          ok: true,
+          data: response.data.items,
+          xhr: response.xhr,
+          status: response.status
+        });
+      });
+    }])('my-api.json', request);
+    respond(0, {items: [1, 2]});
+
+    expect(request.success).to.have.been.calledWith([1, 2]);
+  });
+
+  it('should let middleware turn response into error', function() {
+    applyMiddleware(transport, [function(req, next, done) {
+      next(req, function(response) {
+        done({
+          ok: false,
+          xhr: response.xhr,
+          status: 'error',
+          err: 'Missing items'
+        });
+      });
+    }])('my-api.json', request);
+    respond(0, {});
+
+    expect(request.error).to.have.been.calledWith({status: 200}, 'error',
+                                                  'Missing items');
+    expect(request.success).to.not.have.been.called;
+  });
+
+  it('should let middleware retry request', function() {
+    var token = 'expired';
+
+    applyMiddleware(transport, [function(req, next, done) {
+      req.headers.Authorization = 'Bearer ' + token;
+      next(req, function(response) {
+        if (response.ok || response.xhr.status !== 401) {
+          done(response);
+          return;
+        }
+
+        token = 'fresh';
+        req.headers.Authorization = 'Bearer ' + token;
+        next(req, done);
+      });
+    }])('my-api.json', request);
+
+    fail(0, 401);
+    respond(1, {name: 'John Doe'});
+
+    expect(transport.args[1][1].headers.Authorization)
+          .to.equal('Bearer fresh');
+    expect(request.error).to.not.have.been.called;
+    expect(request.success).to.have.been.calledWith({name: 'John Doe'});
+  });
+
+  describe('aborting', function() {
+    it('should abort pending request', function() {
+      applyMiddleware(transport, [])('my-api.json', request).abort();
+
+      expect(networkRequest.abort).to.have.been.called;
+      expect(request.error).to.have.been.calledWith(sinon.match.any, 'abort');
+    });
+
+    it('should report abort while middleware is busy', function() {
+      var next;
+
+      applyMiddleware(transport, [function(req, nextMiddleware, done) {
+        next = nextMiddleware.bind(null, req, done);
+      }])('my-api.json', request).abort();
+
+      expect(request.error).to.have.been.calledWith(sinon.match.any, 'abort');
+      expect(request.complete).to.have.been.calledOnce;
+
+      next();
+
+      expect(transport).to.not.have.been.called;
+    });
+  });
+});
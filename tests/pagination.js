@@ -0,0 +1,48 @@
+var pagination = require('../src/pagination.js');
+
+describe('Pagination', function() {
+  it('should go to next numbered page after non-empty page', function() {
+    expect(pagination.getNextPage([1, 2], 3)).to.equal(4);
+  });
+
+  it('should stop after empty numbered page', function() {
+    expect(pagination.getNextPage([], 3)).to.equal(null);
+  });
+
+  it('should not guess the page after a cursor', function() {
+    expect(pagination.getNextPage([1, 2], 'abc')).to.equal(null);
+  });
+
+  it('should go to previous numbered page down to 1', function() {
+    expect(pagination.getPreviousPage([1], 2)).to.equal(1);
+    expect(pagination.getPreviousPage([1], 1)).to.equal(null);
+  });
+
+  it('should concatenate pages', function() {
+    expect(pagination.mergePages([[1, 2], [3], []])).to.deep.equal([1, 2, 3]);
+  });
+
+  describe('adding pages', function() {
+    var pages = [{page: 2, data: 'b'}, {page: 3, data: 'c'}];
+
+    it('should reset pages with first page', function() {
+      expect(pagination.addPage(pages, {page: 1, data: 'a'}, 'first'))
+            .to.deep.equal([{page: 1, data: 'a'}]);
+    });
+
+    it('should append next page', function() {
+      expect(pagination.addPage(pages, {page: 4, data: 'd'}, 'next')[2])
+            .to.deep.equal({page: 4, data: 'd'});
+    });
+
+    it('should prepend previous page', function() {
+      expect(pagination.addPage(pages, {page: 1, data: 'a'}, 'previous')[0])
+            .to.deep.equal({page: 1, data: 'a'});
+    });
+
+    it('should replace refreshed page', function() {
+      expect(pagination.addPage(pages, {page: 3, data: 'C'}, 'refresh'))
+            .to.deep.equal([{page: 2, data: 'b'}, {page: 3, data: 'C'}]);
+    });
+  });
+});
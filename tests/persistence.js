@@ -0,0 +1,135 @@
+var createPersistence = require('../src/persistence.js');
+
+describe('Persistence', function() {
+  var clock, storage, items;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+
+    items = {};
+    storage = {
+      getItem: sinon.spy(function(key, callback) {
+        callback(items.hasOwnProperty(key) ? items[key] : null);
+      }),
+      setItem: sinon.spy(function(key, value) {
+        items[key] = value;
+      }),
+      removeItem: sinon.spy(function(key) {
+        delete items[key];
+      })
+    };
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  it('should call back with null for unknown URLs', function() {
+    var callback = sinon.spy();
+
+    createPersistence({storage: storage}).get('my-api.json', callback);
+
+    expect(callback).to.have.been.calledWith(null);
+  });
+
+  it('should return persisted data', function() {
+    var persistence = createPersistence({storage: storage}),
+        callback = sinon.spy();
+
+    clock.tick(500);
+    persistence.set('my-api.json', {name: 'John Doe'});
+    persistence.get('my-api.json', callback);
+
+    expect(callback).to.have.been.calledWith({
+      data: {name: 'John Doe'},
+      savedAt: 500
+    });
+  });
+
+  it('should store versioned entries under prefixed keys', function() {
+    createPersistence({
+      storage: storage,
+      version: 3
+    }).set('my-api.json', {name: 'John Doe'});
+
+    expect(items['react-data-fetch:my-api.json']).to.deep.equal({
+      version: 3,
+      savedAt: 0,
+      data: {name: 'John Doe'}
+    });
+  });
+
+  it('should use custom prefix', function() {
+    createPersistence({
+      storage: storage,
+      prefix: 'app:'
+    }).set('my-api.json', {});
+
+    expect(items['app:my-api.json']).to.exist;
+  });
+
+  it('should discard entries of other versions', function() {
+    var callback = sinon.spy();
+
+    createPersistence({storage: storage, version: 1})
+        .set('my-api.json', {name: 'John Doe'});
+    createPersistence({storage: storage, version: 2})
+        .get('my-api.json', callback);
+
+    expect(callback).to.have.been.calledWith(null);
+    expect(items).to.deep.equal({});
+  });
+
+  it('should discard entries older than max age', function() {
+    var persistence = createPersistence({storage: storage, maxAge: 1000}),
+        callback = sinon.spy();
+
+    persistence.set('my-api.json', {name: 'John Doe'});
+    clock.tick(1000);
+    persistence.get('my-api.json', callback);
+
+    expect(callback).to.have.been.calledWith(null);
+    expect(storage.removeItem).to.have.been.calledWith(
+        'react-data-fetch:my-api.json');
+  });
+
+  it('should keep entries younger than max age', function() {
+    var persistence = createPersistence({storage: storage, maxAge: 1000}),
+        callback = sinon.spy();
+
+    persistence.set('my-api.json', {name: 'John Doe'});
+    clock.tick(999);
+    persistence.get('my-api.json', callback);
+
+    expect(callback.args[0][0].data).to.deep.equal({name: 'John Doe'});
+  });
+
+  it('should remove entries', function() {
+    var persistence = createPersistence({storage: storage});
+
+    persistence.set('my-api.json', {name: 'John Doe'});
+    persistence.remove('my-api.json');
+
+    expect(items).to.deep.equal({});
+  });
+
+  it('should call back asynchronously with asynchronous storage', function() {
+    var callback = sinon.spy();
+
+    storage.getItem = function(key, cb) {
+      setTimeout(function() {
+        cb(items[key] || null);
+      }, 10);
+    };
+
+    var persistence = createPersistence({storage: storage});
+    persistence.set('my-api.json', {name: 'John Doe'});
+    persistence.get('my-api.json', callback);
+
+    expect(callback).to.not.have.been.called;
+
+    clock.tick(10);
+
+    expect(callback.args[0][0].data).to.deep.equal({name: 'John Doe'});
+  });
+});
@@ -0,0 +1,47 @@
+var polling = require('../src/polling.js');
+
+describe('Polling', function() {
+  describe('adaptive options', function() {
+    it('should be disabled by default', function() {
+      expect(polling.getAdaptiveOptions(undefined)).to.equal(null);
+    });
+
+    it('should use defaults when enabled with true', function() {
+      expect(polling.getAdaptiveOptions(true)).to.deep.equal({
+        pauseWhenHidden: true,
+        backoffFactor: 2,
+        maxPollInterval: 60000
+      });
+    });
+  });
+
+  describe('poll interval', function() {
+    var adaptiveOptions = polling.getAdaptiveOptions({
+      backoffFactor: 2,
+      maxPollInterval: 10000
+    });
+
+    it('should be regular without adaptive polling', function() {
+      expect(polling.getPollInterval(null, 1000, 3)).to.equal(1000);
+    });
+
+    it('should be regular without errors', function() {
+      expect(polling.getPollInterval(adaptiveOptions, 1000, 0)).to.equal(1000);
+    });
+
+    it('should stretch with consecutive errors', function() {
+      expect(polling.getPollInterval(adaptiveOptions, 1000, 1)).to.equal(2000);
+      expect(polling.getPollInterval(adaptiveOptions, 1000, 3)).to.equal(8000);
+    });
+
+    it('should not go over max interval', function() {
+      expect(polling.getPollInterval(adaptiveOptions, 1000, 10))
+            .to.equal(10000);
+    });
+
+    it('should never go under regular interval', function() {
+      expect(polling.getPollInterval(adaptiveOptions, 20000, 1))
+            .to.equal(20000);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+var createRequestQueue = require('../src/request-queue.js');
+
+describe('Request queue', function() {
+  var queue, transport, requests;
+
+  var createRequest = function() {
+    return {
+      method: 'GET',
+      headers: {},
+      withCredentials: false,
+      success: sinon.spy(),
+      error: sinon.spy(),
+      complete: sinon.spy()
+    };
+  };
+
+  var complete = function(index) {
+    transport.args[index][1].success({}, 'success', {status: 200});
+    transport.args[index][1].complete({status: 200}, 'success');
+  };
+
+  var getSentUrls = function() {
+    return transport.args.map(function(args) {
+      return args[0];
+    });
+  };
+
+  beforeEach(function() {
+    queue = createRequestQueue({maxConcurrent: 2});
+    transport = sinon.spy(function() {
+      return {
+        abort: sinon.spy()
+      };
+    });
+    requests = [];
+  });
+
+  var send = function(url, priority) {
+    var request = createRequest();
+    requests.push(request);
+
+    return queue.send(transport, url, request, priority);
+  };
+
+  it('should send requests right away below the limit', function() {
+    send('/a');
+    send('/b');
+
+    expect(getSentUrls()).to.deep.equal(['/a', '/b']);
+    expect(queue.countActive()).to.equal(2);
+  });
+
+  it('should hold requests above the limit', function() {
+    send('/a');
+    send('/b');
+    send('/c');
+
+    expect(transport).to.have.been.calledTwice;
+    expect(queue.countWaiting()).to.equal(1);
+  });
+
+  it('should send waiting request once one completes', function() {
+    send('/a');
+    send('/b');
+    send('/c');
+
+    complete(0);
+
+    expect(getSentUrls()).to.deep.equal(['/a', '/b', '/c']);
+    expect(queue.countActive()).to.equal(2);
+    expect(queue.countWaiting()).to.equal(0);
+  });
+
+  it('should pass along callbacks', function() {
+    send('/a');
+
+    complete(0);
+
+    expect(requests[0].success).to.have.been.called;
+    expect(requests[0].complete).to.have.been.calledWith({status: 200},
+                                                         'success');
+  });
+
+  it('should send waiting requests by priority', function() {
+    send('/a');
+    send('/b');
+    send('/poll', createRequestQueue.LOW_PRIORITY);
+    send('/mount', createRequestQueue.NORMAL_PRIORITY);
+    send('/refresh', createRequestQueue.HIGH_PRIORITY);
+
+    complete(0);
+    complete(1);
+    complete(2);
+    complete(3);
+
+    expect(getSentUrls().slice(2)).to.deep.equal(['/refresh', '/mount',
+                                                  '/poll']);
+  });
+
+  it('should send requests of same priority in order', function() {
+    send('/a');
+    send('/b');
+    send('/c', createRequestQueue.HIGH_PRIORITY);
+    send('/d', createRequestQueue.HIGH_PRIORITY);
+
+    complete(0);
+
+    expect(getSentUrls()[2]).to.equal('/c');
+  });
+
+  it('should abort sent request', function() {
+    var request = send('/a');
+
+    request.abort();
+
+    expect(transport.returnValues[0].abort).to.have.been.called;
+  });
+
+  it('should drop waiting request when aborted', function() {
+    send('/a');
+    send('/b');
+    send('/c').abort();
+
+    complete(0);
+
+    expect(getSentUrls()).to.deep.equal(['/a', '/b']);
+    expect(queue.countWaiting()).to.equal(0);
+  });
+
+  it('should report abort of waiting request', function() {
+    send('/a');
+    send('/b');
+    send('/c').abort();
+
+    expect(requests[2].error).to.have.been.calledWith(sinon.match.object,
+                                                      'abort', 'abort');
+    expect(requests[2].complete).to.have.been.calledWith(sinon.match.object,
+                                                         'abort');
+  });
+
+  it('should free slot only once per request', function() {
+    send('/a');
+    send('/b');
+    send('/c');
+    send('/d');
+
+    complete(0);
+    transport.args[0][1].complete({status: 200}, 'success');
+
+    expect(transport).to.have.been.calledThrice;
+  });
+
+  it('should default to 6 concurrent requests', function() {
+    queue = createRequestQueue();
+
+    for (var i = 0; i < 8; i++) {
+      send('/' + i);
+    }
+
+    expect(transport).to.have.callCount(6);
+  });
+});
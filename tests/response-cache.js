@@ -0,0 +1,91 @@
+var createResponseCache = require('../src/response-cache.js');
+
+describe('Response cache', function() {
+  var clock;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  it('should return null for unknown URLs', function() {
+    var cache = createResponseCache();
+
+    expect(cache.get('my-api.json')).to.equal(null);
+  });
+
+  it('should return cached data', function() {
+    var cache = createResponseCache();
+
+    cache.set('my-api.json', {name: 'John Doe'});
+
+    expect(cache.get('my-api.json')).to.deep.equal({
+      data: {name: 'John Doe'},
+      isStale: false
+    });
+  });
+
+  it('should drop entries older than ttl', function() {
+    var cache = createResponseCache({ttl: 1000});
+
+    cache.set('my-api.json', {});
+    clock.tick(1000);
+
+    expect(cache.get('my-api.json')).to.equal(null);
+  });
+
+  it('should serve stale entries when revalidating', function() {
+    var cache = createResponseCache({
+      ttl: 1000,
+      staleWhileRevalidate: true
+    });
+
+    cache.set('my-api.json', {age: 42});
+    clock.tick(1000);
+
+    expect(cache.get('my-api.json')).to.deep.equal({
+      data: {age: 42},
+      isStale: true
+    });
+  });
+
+  it('should evict least recently used entries', function() {
+    var cache = createResponseCache({maxEntries: 2});
+
+    cache.set('a.json', 'a');
+    cache.set('b.json', 'b');
+    cache.get('a.json');
+    cache.set('c.json', 'c');
+
+    expect(cache.get('a.json').data).to.equal('a');
+    expect(cache.get('b.json')).to.equal(null);
+    expect(cache.get('c.json').data).to.equal('c');
+  });
+
+  it('should invalidate single URLs', function() {
+    var cache = createResponseCache();
+
+    cache.set('a.json', 'a');
+    cache.set('b.json', 'b');
+    cache.invalidate('a.json');
+
+    expect(cache.get('a.json')).to.equal(null);
+    expect(cache.get('b.json').data).to.equal('b');
+  });
+
+  it('should invalidate URLs by prefix', function() {
+    var cache = createResponseCache();
+
+    cache.set('/api/users/1', 1);
+    cache.set('/api/users?page=2', 2);
+    cache.set('/api/groups', 3);
+    cache.invalidatePrefix('/api/users');
+
+    expect(cache.get('/api/users/1')).to.equal(null);
+    expect(cache.get('/api/users?page=2')).to.equal(null);
+    expect(cache.get('/api/groups').data).to.equal(3);
+  });
+});
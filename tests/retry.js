@@ -0,0 +1,111 @@
+var retry = require('../src/retry.js');
+
+describe('Retry', function() {
+  describe('options', function() {
+    it('should be disabled by default', function() {
+      expect(retry.getRetryOptions(undefined)).to.equal(null);
+    });
+
+    it('should use defaults when enabled with true', function() {
+      var retryOptions = retry.getRetryOptions(true);
+
+      expect(retryOptions.maxAttempts).to.equal(3);
+      expect(retryOptions.baseDelay).to.equal(1000);
+    });
+
+    it('should override defaults with given options', function() {
+      var retryOptions = retry.getRetryOptions({maxAttempts: 5});
+
+      expect(retryOptions.maxAttempts).to.equal(5);
+      expect(retryOptions.baseDelay).to.equal(1000);
+    });
+  });
+
+  describe('delay', function() {
+    it('should double with every retry', function() {
+      var retryOptions = retry.getRetryOptions({
+        baseDelay: 100,
+        jitter: 0
+      });
+
+      expect(retry.getRetryDelay(retryOptions, 0)).to.equal(100);
+      expect(retry.getRetryDelay(retryOptions, 1)).to.equal(200);
+      expect(retry.getRetryDelay(retryOptions, 3)).to.equal(800);
+    });
+
+    it('should add jitter on top', function() {
+      sinon.stub(Math, 'random').returns(0.5);
+
+      var retryOptions = retry.getRetryOptions({
+        baseDelay: 100,
+        jitter: 0.2
+      });
+
+      try {
+        expect(retry.getRetryDelay(retryOptions, 1)).to.equal(220);
+      } finally {
+        Math.random.restore();
+      }
+    });
+  });
+
+  describe('default predicate', function() {
+    var retryOptions = retry.getRetryOptions(true);
+
+    it('should retry network errors', function() {
+      expect(retry.shouldRetry(retryOptions, 0, {status: 0}, 'error'))
+            .to.equal(true);
+    });
+
+    it('should retry server errors', function() {
+      expect(retry.shouldRetry(retryOptions, 0, {status: 503}, 'error'))
+            .to.equal(true);
+    });
+
+    it('should not retry client errors', function() {
+      expect(retry.shouldRetry(retryOptions, 0, {status: 404}, 'error'))
+            .to.equal(false);
+    });
+
+    it('should not retry invalid responses', function() {
+      expect(retry.shouldRetry(retryOptions, 0, {status: 500},
+                               'parsererror')).to.equal(false);
+    });
+
+    it('should never retry aborted requests', function() {
+      expect(retry.shouldRetry(retryOptions, 0, {status: 0}, 'abort'))
+            .to.equal(false);
+    });
+
+    it('should stop after max attempts', function() {
+      expect(retry.shouldRetry(retryOptions, 2, {status: 503}, 'error'))
+            .to.equal(false);
+    });
+  });
+
+  describe('custom predicate', function() {
+    var retryOptions = retry.getRetryOptions({
+      shouldRetry: function(xhr) {
+        return xhr.status === 429;
+      }
+    });
+
+    it('should decide what is retryable', function() {
+      expect(retry.isRetryable(retryOptions, {status: 429}, 'error'))
+            .to.equal(true);
+      expect(retry.isRetryable(retryOptions, {status: 503}, 'error'))
+            .to.equal(false);
+    });
+
+    it('should never make aborted requests retryable', function() {
+      var retryAll = retry.getRetryOptions({
+        shouldRetry: function() {
+          return true;
+        }
+      });
+
+      expect(retry.isRetryable(retryAll, {status: 0}, 'abort'))
+            .to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+var schemas = require('../src/schema.js');
+
+describe('Schema validation', function() {
+  var schema = {
+    type: 'object',
+    required: ['users'],
+    properties: {
+      users: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {type: 'string'},
+            age: {type: ['integer', 'null']},
+            role: {enum: ['admin', 'user']}
+          }
+        }
+      }
+    }
+  };
+
+  it('should accept valid data', function() {
+    expect(schemas.validate(schema, {
+      users: [{name: 'John Doe', age: 42, role: 'admin'}]
+    })).to.deep.equal([]);
+  });
+
+  it('should report wrong types with their path', function() {
+    expect(schemas.validate(schema, {
+      users: [{name: 'John Doe'}, {name: 42}]
+    })).to.deep.equal([{
+      path: 'users[1].name',
+      message: 'should be string'
+    }]);
+  });
+
+  it('should report missing required properties', function() {
+    expect(schemas.validate(schema, {users: [{}]})).to.deep.equal([{
+      path: 'users[0].name',
+      message: 'is required'
+    }]);
+  });
+
+  it('should report values outside enum', function() {
+    var errors = schemas.validate(schema, {
+      users: [{name: 'John Doe', role: 'guest'}]
+    });
+
+    expect(errors[0].path).to.equal('users[0].role');
+  });
+
+  it('should accept any of multiple types', function() {
+    expect(schemas.validate(schema, {
+      users: [{name: 'John Doe', age: null}]
+    })).to.deep.equal([]);
+  });
+
+  it('should distinguish integers from numbers', function() {
+    expect(schemas.validate(schema, {
+      users: [{name: 'John Doe', age: 4.2}]
+    })[0].path).to.equal('users[0].age');
+  });
+
+  it('should report root type mismatch with empty path', function() {
+    expect(schemas.validate(schema, 'oops')).to.deep.equal([{
+      path: '',
+      message: 'should be object'
+    }]);
+  });
+
+  it('should reject additional properties when asked', function() {
+    expect(schemas.validate({
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }, {foo: 'bar'})[0].path).to.equal('foo');
+  });
+});
@@ -0,0 +1,210 @@
+var React = require('react'),
+    serverRendering = require('../src/server-rendering.js'),
+    withDataFetch = require('../src/with-data-fetch.js');
+
+describe('Server rendering', function() {
+  afterEach(function() {
+    serverRendering.hydrate({});
+  });
+
+  it('should key GET requests by URL', function() {
+    expect(serverRendering.getRequestKey({
+      url: '/api/users',
+      method: 'GET'
+    })).to.equal('/api/users');
+  });
+
+  it('should key other requests by method, URL and body', function() {
+    expect(serverRendering.getRequestKey({
+      url: '/api/search',
+      method: 'POST',
+      body: '{"q":"john"}'
+    })).to.equal('POST /api/search {"q":"john"}');
+  });
+
+  it('should escape serialized payload for script tags', function() {
+    var serialized = serverRendering.serialize({
+      '/api/users': '</script>\u2028'
+    });
+
+    expect(serialized).to.not.contain('</script>');
+    expect(serialized).to.not.contain('\u2028');
+    expect(JSON.parse(serialized)).to.deep.equal({
+      '/api/users': '</script>\u2028'
+    });
+  });
+
+  it('should only hand out preloaded data once', function() {
+    var dataRequest = {url: '/api/users', method: 'GET'};
+    serverRendering.hydrate({'/api/users': ['John']});
+
+    expect(serverRendering.takePreloadedData(dataRequest)).to.deep.equal({
+      data: ['John']
+    });
+    expect(serverRendering.takePreloadedData(dataRequest)).to.equal(null);
+  });
+
+  it('should only render on the server when asked', function() {
+    expect(serverRendering.isServer()).to.equal(false);
+
+    expect(serverRendering.renderOnServer(function() {
+      return serverRendering.isServer();
+    })).to.equal(true);
+
+    expect(serverRendering.isServer()).to.equal(false);
+  });
+
+  it('should stop rendering on the server when render throws', function() {
+    expect(function() {
+      serverRendering.renderOnServer(function() {
+        throw new Error('Render failed');
+      });
+    }).to.throw('Render failed');
+
+    expect(serverRendering.isServer()).to.equal(false);
+  });
+
+  describe('collecting data', function() {
+    var createComponent = function(data) {
+      return {
+        fetchData: sinon.spy(function(props, callback) {
+          callback(data);
+        })
+      };
+    };
+
+    it('should fetch data of nested components', function() {
+      var Users = createComponent({'/api/users': ['John']}),
+          Posts = createComponent({'/api/posts': ['Hello']}),
+          callback = sinon.spy();
+
+      serverRendering.collectData({
+        type: 'div',
+        props: {
+          children: [{
+            type: Users,
+            props: {dataUrl: '/api/users'}
+          }, 'text', {
+            type: 'section',
+            props: {
+              children: {type: Posts, props: {}}
+            }
+          }]
+        }
+      }, callback);
+
+      expect(Users.fetchData).to.have.been.calledWith({
+        dataUrl: '/api/users'
+      });
+      expect(callback).to.have.been.calledWith({
+        '/api/users': ['John'],
+        '/api/posts': ['Hello']
+      });
+    });
+
+    describe('with components', function() {
+      var transport, callback;
+
+      // Responds right away with the URL the data was requested from
+      var respondWithUrl = function(url, request) {
+        request.success({url: url});
+        request.complete({}, 'success');
+
+        return {abort: function() {}};
+      };
+
+      var createDataComponent = function(render) {
+        return withDataFetch({transport: transport})(render || function() {
+          return null;
+        });
+      };
+
+      beforeEach(function() {
+        transport = sinon.spy(respondWithUrl);
+        callback = sinon.spy();
+      });
+
+      it('should fetch data of components rendered by others', function() {
+        var Users = createDataComponent();
+
+        var App = function() {
+          return React.createElement('div', null,
+                                     React.createElement(Users, {
+                                       dataUrl: '/api/users'
+                                     }));
+        };
+
+        serverRendering.collectData(React.createElement(App), callback);
+
+        expect(callback).to.have.been.calledWith({
+          '/api/users': {url: '/api/users'}
+        });
+      });
+
+      it('should render class components', function() {
+        var Users = createDataComponent();
+
+        var App = function(props) {
+          React.Component.call(this, props);
+          this.state = {url: '/api/users'};
+        };
+        App.prototype = Object.create(React.Component.prototype);
+        App.prototype.componentWillMount = function() {
+          this.setState({url: '/api/members'});
+        };
+        App.prototype.render = function() {
+          return React.createElement(Users, {dataUrl: this.state.url});
+        };
+
+        serverRendering.collectData(React.createElement(App), callback);
+
+        expect(callback).to.have.been.calledWith({
+          '/api/members': {url: '/api/members'}
+        });
+      });
+
+      it('should render components with their data', function() {
+        var Posts = createDataComponent();
+
+        var User = createDataComponent(function(props) {
+          return React.createElement(Posts, {
+            dataUrl: props.data.url + '/posts'
+          });
+        });
+
+        serverRendering.collectData(React.createElement(User, {
+          dataUrl: '/api/users/1'
+        }), callback);
+
+        expect(transport).to.have.been.calledTwice;
+        expect(callback).to.have.been.calledWith({
+          '/api/users/1': {url: '/api/users/1'},
+          '/api/users/1/posts': {url: '/api/users/1/posts'}
+        });
+      });
+
+      it('should not fetch data while rendering', function() {
+        var Users = createDataComponent();
+
+        serverRendering.collectData(React.createElement(Users, {
+          dataUrl: '/api/users'
+        }), callback);
+
+        expect(transport).to.have.been.calledOnce;
+      });
+    });
+
+    it('should wait for all components', function() {
+      var Users = {fetchData: sinon.spy()},
+          callback = sinon.spy();
+
+      serverRendering.collectData({type: Users, props: {}}, callback);
+
+      expect(callback).to.not.have.been.called;
+
+      Users.fetchData.args[0][1]({'/api/users': []});
+
+      expect(callback).to.have.been.calledWith({'/api/users': []});
+    });
+  });
+});
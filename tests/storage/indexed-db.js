@@ -0,0 +1,142 @@
+var createIndexedDbStorage = require('../../src/storage/indexed-db.js');
+
+describe('IndexedDB adapter', function() {
+  var clock, factory, stores, adapter;
+
+  // Minimal IndexedDB look-alike, which answers requests asynchronously
+  var createRequest = function(getResult) {
+    var request = {};
+
+    setTimeout(function() {
+      request.result = getResult();
+      request.onsuccess();
+    });
+
+    return request;
+  };
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+    stores = {};
+
+    var db = {
+      createObjectStore: sinon.spy(function(name) {
+        stores[name] = {};
+      }),
+      transaction: function(storeName) {
+        return {
+          objectStore: function() {
+            var values = stores[storeName];
+
+            return {
+              get: function(key) {
+                return createRequest(function() {
+                  return values[key];
+                });
+              },
+              put: function(value, key) {
+                values[key] = value;
+              },
+              delete: function(key) {
+                delete values[key];
+              }
+            };
+          }
+        };
+      }
+    };
+
+    factory = {
+      open: sinon.spy(function() {
+        var request = {
+          result: db
+        };
+
+        setTimeout(function() {
+          if (!stores.hasOwnProperty('responses')) {
+            request.onupgradeneeded();
+          }
+
+          request.onsuccess();
+        });
+
+        return request;
+      })
+    };
+
+    adapter = createIndexedDbStorage({indexedDB: factory});
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  it('should open database with first operation', function() {
+    expect(factory.open).to.not.have.been.called;
+
+    adapter.getItem('key', function() {});
+
+    expect(factory.open).to.have.been.calledWith('react-data-fetch', 1);
+  });
+
+  it('should open database only once', function() {
+    adapter.getItem('key', function() {});
+    adapter.getItem('key', function() {});
+    clock.tick(0);
+    adapter.getItem('key', function() {});
+
+    expect(factory.open).to.have.been.calledOnce;
+  });
+
+  it('should create object store', function() {
+    adapter.getItem('key', function() {});
+    clock.tick(0);
+
+    expect(stores.responses).to.exist;
+  });
+
+  it('should call back with stored value', function() {
+    var callback = sinon.spy();
+
+    adapter.setItem('key', {name: 'John Doe'});
+    adapter.getItem('key', callback);
+    clock.tick(10);
+
+    expect(callback).to.have.been.calledWith({name: 'John Doe'});
+  });
+
+  it('should call back with null for missing values', function() {
+    var callback = sinon.spy();
+
+    adapter.getItem('key', callback);
+    clock.tick(10);
+
+    expect(callback).to.have.been.calledWith(null);
+  });
+
+  it('should remove values', function() {
+    var callback = sinon.spy();
+
+    adapter.setItem('key', {name: 'John Doe'});
+    adapter.removeItem('key');
+    adapter.getItem('key', callback);
+    clock.tick(10);
+
+    expect(callback).to.have.been.calledWith(null);
+  });
+
+  it('should call back with null without IndexedDB', function() {
+    var callback = sinon.spy();
+
+    adapter = createIndexedDbStorage({
+      indexedDB: {
+        open: function() {
+          throw new Error('Not supported');
+        }
+      }
+    });
+    adapter.getItem('key', callback);
+
+    expect(callback).to.have.been.calledWith(null);
+  });
+});
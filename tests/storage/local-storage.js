@@ -0,0 +1,78 @@
+var createLocalStorage = require('../../src/storage/local-storage.js');
+
+describe('localStorage adapter', function() {
+  var webStorage, adapter;
+
+  beforeEach(function() {
+    var values = {};
+
+    webStorage = {
+      getItem: function(key) {
+        return values.hasOwnProperty(key) ? values[key] : null;
+      },
+      setItem: sinon.spy(function(key, value) {
+        values[key] = value;
+      }),
+      removeItem: function(key) {
+        delete values[key];
+      }
+    };
+
+    adapter = createLocalStorage(webStorage);
+  });
+
+  it('should store values as JSON', function() {
+    adapter.setItem('key', {name: 'John Doe'});
+
+    expect(webStorage.setItem).to.have.been.calledWith(
+        'key', '{"name":"John Doe"}');
+  });
+
+  it('should call back synchronously with stored value', function() {
+    var callback = sinon.spy();
+
+    adapter.setItem('key', {name: 'John Doe'});
+    adapter.getItem('key', callback);
+
+    expect(callback).to.have.been.calledWith({name: 'John Doe'});
+  });
+
+  it('should call back with null for missing values', function() {
+    var callback = sinon.spy();
+
+    adapter.getItem('key', callback);
+
+    expect(callback).to.have.been.calledWith(null);
+  });
+
+  it('should call back with null for corrupted values', function() {
+    var callback = sinon.spy();
+
+    webStorage.getItem = function() {
+      return '{invalid';
+    };
+    adapter.getItem('key', callback);
+
+    expect(callback).to.have.been.calledWith(null);
+  });
+
+  it('should remove values', function() {
+    var callback = sinon.spy();
+
+    adapter.setItem('key', {name: 'John Doe'});
+    adapter.removeItem('key');
+    adapter.getItem('key', callback);
+
+    expect(callback).to.have.been.calledWith(null);
+  });
+
+  it('should ignore exceeded quota', function() {
+    webStorage.setItem = function() {
+      throw new Error('QuotaExceededError');
+    };
+
+    expect(function() {
+      adapter.setItem('key', {name: 'John Doe'});
+    }).to.not.throw();
+  });
+});
@@ -0,0 +1,54 @@
+var streaming = require('../src/streaming.js'),
+    websocketStream = require('../src/streams/websocket.js'),
+    eventSourceStream = require('../src/streams/event-source.js');
+
+describe('Streaming', function() {
+  describe('reconnect delay', function() {
+    var reconnectOptions = streaming.getReconnectOptions({
+      baseDelay: 1000,
+      maxDelay: 5000,
+      jitter: 0
+    });
+
+    it('should use defaults', function() {
+      expect(streaming.getReconnectOptions()).to.deep.equal({
+        baseDelay: 1000,
+        maxDelay: 30000,
+        jitter: 0.5
+      });
+    });
+
+    it('should double with every attempt', function() {
+      expect(streaming.getReconnectDelay(reconnectOptions, 0)).to.equal(1000);
+      expect(streaming.getReconnectDelay(reconnectOptions, 2)).to.equal(4000);
+    });
+
+    it('should not go over max delay', function() {
+      expect(streaming.getReconnectDelay(reconnectOptions, 5)).to.equal(5000);
+    });
+
+    it('should add jitter on top of delay', function() {
+      sinon.stub(Math, 'random').returns(0.5);
+
+      var delay = streaming.getReconnectDelay(streaming.getReconnectOptions({
+        jitter: 0.5
+      }), 0);
+
+      Math.random.restore();
+
+      expect(delay).to.equal(1250);
+    });
+  });
+
+  describe('stream transport', function() {
+    it('should use WebSocket for ws URLs', function() {
+      expect(streaming.getStreamTransport('wss://example.com/users'))
+            .to.equal(websocketStream);
+    });
+
+    it('should use EventSource for http URLs', function() {
+      expect(streaming.getStreamTransport('/api/users/stream'))
+            .to.equal(eventSourceStream);
+    });
+  });
+});
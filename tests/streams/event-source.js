@@ -0,0 +1,57 @@
+var eventSourceStream = require('../../src/streams/event-source.js');
+
+describe('EventSource stream', function() {
+  var NativeEventSource = global.EventSource,
+      eventSource,
+      request;
+
+  var FakeEventSource = function(url, eventSourceOptions) {
+    eventSource = this;
+
+    this.url = url;
+    this.options = eventSourceOptions;
+    this.close = sinon.spy();
+  };
+
+  beforeEach(function() {
+    global.EventSource = FakeEventSource;
+
+    request = {
+      withCredentials: true,
+      open: sinon.spy(),
+      message: sinon.spy(),
+      close: sinon.spy()
+    };
+  });
+
+  afterEach(function() {
+    global.EventSource = NativeEventSource;
+  });
+
+  it('should connect to url with credentials', function() {
+    eventSourceStream('/api/users/stream', request);
+
+    expect(eventSource.url).to.equal('/api/users/stream');
+    expect(eventSource.options.withCredentials).to.equal(true);
+  });
+
+  it('should pass parsed JSON messages', function() {
+    eventSourceStream('/api/users/stream', request);
+
+    eventSource.onopen();
+    eventSource.onmessage({data: '[1, 2]'});
+
+    expect(request.open).to.have.been.called;
+    expect(request.message).to.have.been.calledWith([1, 2]);
+  });
+
+  it('should close and report connection on error', function() {
+    eventSourceStream('/api/users/stream', request);
+
+    eventSource.onerror();
+    eventSource.onerror();
+
+    expect(eventSource.close).to.have.been.called;
+    expect(request.close).to.have.been.calledOnce;
+  });
+});
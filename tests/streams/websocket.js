@@ -0,0 +1,76 @@
+var websocketStream = require('../../src/streams/websocket.js');
+
+describe('WebSocket stream', function() {
+  var NativeWebSocket = global.WebSocket,
+      socket,
+      request;
+
+  var FakeWebSocket = function(url) {
+    socket = this;
+
+    this.url = url;
+    this.close = sinon.spy();
+  };
+
+  beforeEach(function() {
+    global.WebSocket = FakeWebSocket;
+
+    request = {
+      open: sinon.spy(),
+      message: sinon.spy(),
+      close: sinon.spy()
+    };
+  });
+
+  afterEach(function() {
+    global.WebSocket = NativeWebSocket;
+  });
+
+  it('should connect to url', function() {
+    websocketStream('ws://example.com/users', request);
+
+    expect(socket.url).to.equal('ws://example.com/users');
+  });
+
+  it('should report open connection', function() {
+    websocketStream('ws://example.com/users', request);
+
+    socket.onopen();
+
+    expect(request.open).to.have.been.called;
+  });
+
+  it('should pass parsed JSON messages', function() {
+    websocketStream('ws://example.com/users', request);
+
+    socket.onmessage({data: '{"name": "John Doe"}'});
+
+    expect(request.message).to.have.been.calledWith({name: 'John Doe'});
+  });
+
+  it('should skip messages that are not JSON', function() {
+    websocketStream('ws://example.com/users', request);
+
+    socket.onmessage({data: 'ping'});
+
+    expect(request.message).to.not.have.been.called;
+  });
+
+  it('should report lost connection', function() {
+    websocketStream('ws://example.com/users', request);
+
+    socket.onclose();
+
+    expect(request.close).to.have.been.calledOnce;
+  });
+
+  it('should not report connection closed by us', function() {
+    var connection = websocketStream('ws://example.com/users', request);
+
+    connection.close();
+    socket.onclose();
+
+    expect(socket.close).to.have.been.called;
+    expect(request.close).to.not.have.been.called;
+  });
+});
@@ -0,0 +1,52 @@
+var structuralSharing = require('../src/structural-sharing.js');
+
+describe('Structural sharing', function() {
+  var share = structuralSharing.share;
+
+  it('should return previous data when equal', function() {
+    var prevData = {users: [{name: 'John'}], total: 1};
+
+    expect(share(prevData, {users: [{name: 'John'}], total: 1}))
+          .to.equal(prevData);
+  });
+
+  it('should return next data when different', function() {
+    var nextData = {users: [], total: 0};
+
+    expect(share({users: [{name: 'John'}], total: 1}, nextData))
+          .to.deep.equal(nextData);
+  });
+
+  it('should keep identity of unchanged objects', function() {
+    var prevData = {users: [{name: 'John'}, {name: 'Jane'}], total: 2},
+        sharedData = share(prevData, {
+          users: [{name: 'John'}, {name: 'Jane Doe'}],
+          total: 2
+        });
+
+    expect(sharedData).to.not.equal(prevData);
+    expect(sharedData.users[0]).to.equal(prevData.users[0]);
+    expect(sharedData.users[1]).to.deep.equal({name: 'Jane Doe'});
+  });
+
+  it('should detect removed keys', function() {
+    var prevData = {name: 'John', age: 42};
+
+    expect(share(prevData, {name: 'John'})).to.deep.equal({name: 'John'});
+  });
+
+  it('should detect added array items', function() {
+    var prevData = [1, 2];
+
+    expect(share(prevData, [1, 2, 3])).to.deep.equal([1, 2, 3]);
+  });
+
+  it('should not mistake arrays for objects', function() {
+    expect(share({0: 'a'}, ['a'])).to.deep.equal(['a']);
+  });
+
+  it('should compare primitives by value', function() {
+    expect(share('abc', 'abc')).to.equal('abc');
+    expect(share(null, {})).to.deep.equal({});
+  });
+});
@@ -0,0 +1,122 @@
+var createClock = require('../../src/testing/clock.js');
+
+describe('Testing clock', function() {
+  var clock;
+
+  beforeEach(function() {
+    clock = createClock(1000);
+    clock.install();
+  });
+
+  afterEach(function() {
+    clock.uninstall();
+  });
+
+  it('should replace Date.now', function() {
+    expect(Date.now()).to.equal(1000);
+
+    clock.tick(500);
+
+    expect(Date.now()).to.equal(1500);
+  });
+
+  it('should run timeouts when due', function() {
+    var callback = sinon.spy();
+    setTimeout(callback, 100, 'arg');
+
+    clock.tick(99);
+    expect(callback).to.not.have.been.called;
+
+    clock.tick(1);
+    expect(callback).to.have.been.calledWith('arg');
+  });
+
+  it('should report time of timer inside its callback', function() {
+    var calledAt;
+    setTimeout(function() {
+      calledAt = Date.now();
+    }, 100);
+
+    clock.tick(300);
+
+    expect(calledAt).to.equal(1100);
+  });
+
+  it('should not run cleared timeouts', function() {
+    var callback = sinon.spy();
+    clearTimeout(setTimeout(callback, 100));
+
+    clock.tick(100);
+
+    expect(callback).to.not.have.been.called;
+  });
+
+  it('should run intervals repeatedly', function() {
+    var callback = sinon.spy();
+    var interval = setInterval(callback, 100);
+
+    clock.tick(350);
+    expect(callback).to.have.been.calledThrice;
+
+    clearInterval(interval);
+    clock.tick(100);
+    expect(callback).to.have.been.calledThrice;
+  });
+
+  it('should run timers scheduled by other timers', function() {
+    var callback = sinon.spy();
+    setTimeout(function() {
+      setTimeout(callback, 100);
+    }, 100);
+
+    clock.tick(200);
+
+    expect(callback).to.have.been.called;
+  });
+
+  it('should run timers due at the same time in order', function() {
+    var calls = [];
+    setTimeout(function() {
+      calls.push('first');
+    }, 100);
+    setTimeout(function() {
+      calls.push('second');
+    }, 100);
+
+    clock.tick(100);
+
+    expect(calls).to.deep.equal(['first', 'second']);
+  });
+
+  it('should run all pending timeouts', function() {
+    var callback = sinon.spy();
+    setTimeout(function() {
+      setTimeout(callback, 5000);
+    }, 1000);
+
+    clock.runAll();
+
+    expect(callback).to.have.been.called;
+    expect(Date.now()).to.equal(7000);
+  });
+
+  it('should throw when timeouts never stop', function() {
+    var schedule = function() {
+      setTimeout(schedule, 10);
+    };
+    schedule();
+
+    expect(function() {
+      clock.runAll(50);
+    }).to.throw(/50 runs/);
+  });
+
+  it('should restore real timers when uninstalled', function() {
+    var realSetTimeout = clock.setTimeout;
+
+    clock.uninstall();
+
+    expect(setTimeout).to.not.equal(realSetTimeout);
+    expect(Date.now()).to.be.above(1000);
+  });
+});
@@ -0,0 +1,224 @@
+var createFakeServer = require('../../src/testing/fake-server.js'),
+    applyMiddleware = require('../../src/middleware.js');
+
+describe('Fake server', function() {
+  var server, request, clock;
+
+  var send = function(url, method, body) {
+    return server.transport(url, Object.assign({}, request, {
+      method: method || 'GET',
+      body: body
+    }));
+  };
+
+  beforeEach(function() {
+    server = createFakeServer();
+    clock = sinon.useFakeTimers();
+
+    request = {
+      method: 'GET',
+      headers: {Accept: 'application/json'},
+      withCredentials: false,
+      success: sinon.spy(),
+      error: sinon.spy(),
+      complete: sinon.spy()
+    };
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  it('should respond with route data', function() {
+    server.route('/api/users', {data: [{name: 'John'}]});
+
+    send('/api/users');
+    clock.tick(0);
+
+    expect(request.success).to.have.been.calledWith([{name: 'John'}],
+                                                    'success');
+    expect(request.complete).to.have.been.calledAfter(request.success);
+  });
+
+  it('should respond asynchronously', function() {
+    server.route('/api/users', {data: []});
+
+    send('/api/users');
+
+    expect(request.success).to.not.have.been.called;
+  });
+
+  it('should delay response', function() {
+    server.route('/api/users', {data: [], delay: 200});
+
+    send('/api/users');
+
+    clock.tick(199);
+    expect(request.success).to.not.have.been.called;
+
+    clock.tick(1);
+    expect(request.success).to.have.been.called;
+  });
+
+  it('should ignore query string of route without one', function() {
+    server.route('/api/users', {data: []});
+
+    send('/api/users?page=2');
+    clock.tick(0);
+
+    expect(request.success).to.have.been.called;
+  });
+
+  it('should match RegExp routes', function() {
+    server.route(/^\/api\/users\/\d+$/, {data: {}});
+
+    send('/api/users/5');
+    clock.tick(0);
+
+    expect(request.success).to.have.been.called;
+  });
+
+  it('should match routes by method', function() {
+    server.route('POST', '/api/users', {status: 201, data: {id: 1}});
+
+    send('/api/users', 'POST');
+    send('/api/users', 'GET');
+    clock.tick(0);
+
+    expect(request.success).to.have.been.calledWith({id: 1});
+    expect(request.error.args[0][0].status).to.equal(404);
+  });
+
+  it('should prefer routes registered later', function() {
+    server.route('/api/users', {data: 'first'});
+    server.route('/api/users', {data: 'second'});
+
+    send('/api/users');
+    clock.tick(0);
+
+    expect(request.success).to.have.been.calledWith('second');
+  });
+
+  it('should build response from route function', function() {
+    server.route('POST', '/api/users', function(req) {
+      return {data: JSON.parse(req.body)};
+    });
+
+    send('/api/users', 'POST', '{"name":"John"}');
+    clock.tick(0);
+
+    expect(request.success).to.have.been.calledWith({name: 'John'});
+  });
+
+  it('should respond with 404 to unknown routes', function() {
+    send('/api/unknown');
+    clock.tick(0);
+
+    var xhr = request.error.args[0][0];
+    expect(xhr.status).to.equal(404);
+    expect(xhr.statusText).to.equal('Not Found');
+  });
+
+  it('should respond with error status', function() {
+    server.route('/api/users', {status: 500, data: {message: 'Oops'}});
+
+    send('/api/users');
+    clock.tick(0);
+
+    var xhr = request.error.args[0][0];
+    expect(xhr.status).to.equal(500);
+    expect(xhr.responseJSON).to.deep.equal({message: 'Oops'});
+    expect(request.error.args[0][1]).to.equal('error');
+  });
+
+  it('should respond with invalid JSON body', function() {
+    server.route('/api/users', {body: 'not json'});
+
+    send('/api/users');
+    clock.tick(0);
+
+    expect(request.error.args[0][1]).to.equal('parsererror');
+  });
+
+  it('should expose response headers', function() {
+    server.route('/api/users', {data: [], headers: {ETag: '"v1"'}});
+
+    send('/api/users');
+    clock.tick(0);
+
+    expect(request.success.args[0][2].getResponseHeader('etag'))
+          .to.equal('"v1"');
+  });
+
+  it('should fail with network error', function() {
+    server.route('/api/users', {error: 'network'});
+
+    send('/api/users');
+    clock.tick(0);
+
+    expect(request.error.args[0][0].status).to.equal(0);
+    expect(request.error.args[0][1]).to.equal('error');
+  });
+
+  it('should fail with timeout', function() {
+    server.route('/api/users', {error: 'timeout'});
+
+    send('/api/users');
+    clock.tick(0);
+
+    expect(request.error.args[0][1]).to.equal('timeout');
+  });
+
+  it('should abort pending response', function() {
+    server.route('/api/users', {data: [], delay: 100});
+
+    send('/api/users').abort();
+    clock.tick(100);
+
+    expect(request.success).to.not.have.been.called;
+    expect(request.error.args[0][1]).to.equal('abort');
+  });
+
+  it('should record requests', function() {
+    send('/api/users', 'POST', '{"name":"John"}');
+
+    expect(server.requests).to.deep.equal([{
+      url: '/api/users',
+      method: 'POST',
+      headers: {Accept: 'application/json'},
+      body: '{"name":"John"}'
+    }]);
+  });
+
+  it('should forget routes and requests when reset', function() {
+    server.route('/api/users', {data: []});
+    send('/api/users');
+
+    server.reset();
+    send('/api/users');
+    clock.tick(0);
+
+    expect(server.requests.length).to.equal(1);
+    expect(request.error.args[0][0].status).to.equal(404);
+  });
+
+  it('should answer requests as middleware', function() {
+    var transport = sinon.spy();
+    server.route('/api/users', {data: [{name: 'John'}]});
+
+    applyMiddleware(transport, [server.middleware])('/api/users', request);
+    clock.tick(0);
+
+    expect(transport).to.not.have.been.called;
+    expect(request.success).to.have.been.calledWith([{name: 'John'}]);
+  });
+
+  it('should fail as middleware', function() {
+    server.route('/api/users', {status: 503});
+
+    applyMiddleware(sinon.spy(), [server.middleware])('/api/users', request);
+    clock.tick(0);
+
+    expect(request.error.args[0][0].status).to.equal(503);
+  });
+});
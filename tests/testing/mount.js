@@ -0,0 +1,165 @@
+var DataFetch = require('../../src/data-fetch-mixin.js'),
+    withDataFetch = require('../../src/with-data-fetch.js'),
+    createFakeServer = require('../../src/testing/fake-server.js'),
+    createClock = require('../../src/testing/clock.js'),
+    mount = require('../../src/testing/mount.js').mount,
+    isSettled = require('../../src/testing/mount.js').isSettled;
+
+describe('Testing mount', function() {
+  var server, clock, spec, component;
+
+  beforeEach(function() {
+    server = createFakeServer();
+    server.route('/api/users', {data: [{name: 'John'}], delay: 100});
+
+    clock = createClock();
+    clock.install();
+
+    spec = Object.assign({
+      getDataUrl: function(props) {
+        return props.dataUrl;
+      }
+    }, DataFetch({
+      middleware: [server.middleware]
+    }));
+  });
+
+  afterEach(function() {
+    if (component) {
+      component.unmount();
+      component = null;
+    }
+
+    clock.uninstall();
+  });
+
+  it('should fetch data on mount', function() {
+    component = mount(spec, {dataUrl: '/api/users'});
+
+    expect(server.requests[0].url).to.equal('/api/users');
+    expect(component.getState().isFetchingData).to.be.true;
+  });
+
+  it('should receive data after delay', function() {
+    component = mount(spec, {dataUrl: '/api/users'});
+
+    clock.tick(100);
+
+    expect(component.getState().data).to.deep.equal([{name: 'John'}]);
+  });
+
+  it('should apply default props', function() {
+    component = mount(spec, {dataUrl: '/api/users'});
+
+    expect(component.instance.props.pollInterval).to.equal(0);
+  });
+
+  it('should wait for data to settle', function() {
+    var callback = sinon.spy();
+
+    component = mount(spec, {dataUrl: '/api/users'});
+    component.waitForData(callback);
+
+    expect(callback).to.not.have.been.called;
+
+    clock.tick(100);
+
+    expect(callback).to.have.been.calledOnce;
+    expect(callback.args[0][0].data).to.deep.equal([{name: 'John'}]);
+  });
+
+  it('should call back right away when already settled', function() {
+    var callback = sinon.spy();
+
+    component = mount(spec, {dataUrl: '/api/users'});
+    clock.tick(100);
+    component.waitForData(callback);
+
+    expect(callback).to.have.been.calledOnce;
+  });
+
+  it('should settle with error', function() {
+    var callback = sinon.spy();
+    server.route('/api/users', {status: 500});
+
+    component = mount(spec, {dataUrl: '/api/users'});
+    component.waitForData(callback);
+    clock.tick(0);
+
+    expect(callback.args[0][0].dataError.statusCode).to.equal(500);
+  });
+
+  it('should poll with clock', function() {
+    component = mount(spec, {dataUrl: '/api/users', pollInterval: 1000});
+
+    clock.tick(100);
+    server.route('/api/users', {data: [{name: 'Jane'}]});
+    clock.tick(1000);
+
+    expect(server.requests.length).to.equal(2);
+    expect(component.getState().data).to.deep.equal([{name: 'Jane'}]);
+  });
+
+  it('should fetch again when props change', function() {
+    server.route('/api/posts', {data: []});
+
+    component = mount(spec, {dataUrl: '/api/users'});
+    component.setProps({dataUrl: '/api/posts'});
+
+    expect(server.requests[1].url).to.equal('/api/posts');
+    expect(component.instance.props.dataUrl).to.equal('/api/posts');
+  });
+
+  it('should ignore responses after unmount', function() {
+    component = mount(spec, {dataUrl: '/api/users'});
+    component.unmount();
+
+    var state = component.getState();
+    clock.tick(100);
+
+    expect(component.getState()).to.equal(state);
+    component = null;
+  });
+
+  it('should mount component classes', function() {
+    var Container = withDataFetch({
+      middleware: [server.middleware]
+    })(function() {
+      return null;
+    });
+
+    component = mount(Container, {dataUrl: '/api/users'});
+    clock.tick(100);
+
+    expect(component.getState().data).to.deep.equal([{name: 'John'}]);
+  });
+
+  it('should work with real timers', function(done) {
+    clock.uninstall();
+    server.route('/api/users', {data: [{name: 'John'}], delay: 1});
+
+    component = mount(spec, {dataUrl: '/api/users'});
+    component.waitForData(function(state) {
+      expect(state.data).to.deep.equal([{name: 'John'}]);
+      done();
+    });
+  });
+
+  describe('isSettled', function() {
+    it('should be false while fetching data', function() {
+      expect(isSettled({isFetchingData: true})).to.be.false;
+    });
+
+    it('should be false while fetching page', function() {
+      expect(isSettled({isFetchingPage: true})).to.be.false;
+    });
+
+    it('should be false while mutating data', function() {
+      expect(isSettled({isMutatingData: true})).to.be.false;
+    });
+
+    it('should be true otherwise', function() {
+      expect(isSettled({isFetchingData: false, data: {}})).to.be.true;
+    });
+  });
+});
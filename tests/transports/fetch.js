@@ -0,0 +1,136 @@
+var fetchTransport = require('../../src/transports/fetch.js');
+
+describe('Fetch transport', function() {
+  var nativeFetch = global.fetch,
+      NativeAbortController = global.AbortController,
+      request,
+      controller;
+
+  var FakeAbortController = function() {
+    controller = this;
+
+    this.signal = {};
+    this.abort = sinon.spy();
+  };
+
+  var createResponse = function(status, text) {
+    return {
+      status: status,
+      statusText: status === 200 ? 'OK' : 'Internal Server Error',
+      headers: {
+        get: function() {
+          return null;
+        }
+      },
+      text: function() {
+        return Promise.resolve(text);
+      }
+    };
+  };
+
+  // The transport chains a few promises before calling back
+  var flush = function() {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 0);
+    });
+  };
+
+  beforeEach(function() {
+    global.AbortController = FakeAbortController;
+
+    request = {
+      method: 'GET',
+      withCredentials: false,
+      success: sinon.spy(),
+      error: sinon.spy(),
+      complete: sinon.spy()
+    };
+  });
+
+  afterEach(function() {
+    global.fetch = nativeFetch;
+    global.AbortController = NativeAbortController;
+  });
+
+  it('should call fetch with method, credentials and signal', function() {
+    global.fetch = sinon.stub().returns(new Promise(function() {}));
+
+    fetchTransport('my-api.json', request);
+
+    var init = global.fetch.args[0][1];
+    expect(global.fetch.args[0][0]).to.equal('my-api.json');
+    expect(init.method).to.equal('GET');
+    expect(init.credentials).to.equal('same-origin');
+    expect(init.signal).to.equal(controller.signal);
+  });
+
+  it('should send headers and body', function() {
+    global.fetch = sinon.stub().returns(new Promise(function() {}));
+
+    request.method = 'POST';
+    request.headers = {'Content-Type': 'application/json'};
+    request.body = '{"query":"foo"}';
+
+    fetchTransport('my-api.json', request);
+
+    var init = global.fetch.args[0][1];
+    expect(init.headers).to.deep.equal({
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    });
+    expect(init.body).to.equal('{"query":"foo"}');
+  });
+
+  it('should call success with parsed JSON', function() {
+    global.fetch = sinon.stub().returns(
+        Promise.resolve(createResponse(200, '{"age": 42}')));
+
+    fetchTransport('my-api.json', request);
+
+    return flush().then(function() {
+      expect(request.success.args[0][0]).to.deep.equal({age: 42});
+      expect(request.complete).to.have.been.calledOnce;
+    });
+  });
+
+  it('should call error with status for HTTP errors', function() {
+    global.fetch = sinon.stub().returns(
+        Promise.resolve(createResponse(500, '{"error": "oops"}')));
+
+    fetchTransport('my-api.json', request);
+
+    return flush().then(function() {
+      var args = request.error.args[0];
+      expect(args[0].status).to.equal(500);
+      expect(args[0].responseJSON).to.deep.equal({error: 'oops'});
+      expect(args[1]).to.equal('error');
+      expect(args[2]).to.equal('Internal Server Error');
+    });
+  });
+
+  it('should call error for network failures', function() {
+    var err = new TypeError('Failed to fetch');
+    global.fetch = sinon.stub().returns(Promise.reject(err));
+
+    fetchTransport('my-api.json', request);
+
+    return flush().then(function() {
+      expect(request.error).to.have.been.calledWith(
+          sinon.match.has('status', 0), 'error', err);
+    });
+  });
+
+  it('should abort through the controller', function() {
+    global.fetch = sinon.stub().returns(Promise.reject(new Error('abort')));
+
+    fetchTransport('my-api.json', request).abort();
+
+    expect(controller.abort).to.have.been.called;
+    expect(request.error.args[0][1]).to.equal('abort');
+
+    return flush().then(function() {
+      expect(request.error).to.have.been.calledOnce;
+      expect(request.complete).to.have.been.calledOnce;
+    });
+  });
+});
@@ -0,0 +1,124 @@
+var xhrTransport = require('../../src/transports/xhr.js');
+
+describe('XHR transport', function() {
+  var NativeXMLHttpRequest = global.XMLHttpRequest,
+      xhr,
+      request;
+
+  // Mock XMLHttpRequest forcefully, to keep full control over its lifecycle
+  var FakeXMLHttpRequest = function() {
+    xhr = this;
+
+    this.readyState = 0;
+    this.open = sinon.spy();
+    this.send = sinon.spy();
+    this.abort = sinon.spy();
+    this.setRequestHeader = sinon.spy();
+    this.getResponseHeader = sinon.stub();
+  };
+
+  var respond = function(status, responseText) {
+    xhr.readyState = 4;
+    xhr.status = status;
+    xhr.statusText = status === 200 ? 'OK' : 'Not Found';
+    xhr.responseText = responseText;
+    xhr.onreadystatechange();
+  };
+
+  beforeEach(function() {
+    global.XMLHttpRequest = FakeXMLHttpRequest;
+
+    request = {
+      method: 'GET',
+      withCredentials: true,
+      success: sinon.spy(),
+      error: sinon.spy(),
+      complete: sinon.spy()
+    };
+  });
+
+  afterEach(function() {
+    global.XMLHttpRequest = NativeXMLHttpRequest;
+  });
+
+  it('should open request with method and url', function() {
+    xhrTransport('my-api.json', request);
+
+    expect(xhr.open).to.have.been.calledWith('GET', 'my-api.json', true);
+    expect(xhr.send).to.have.been.called;
+  });
+
+  it('should send headers and body', function() {
+    request.method = 'POST';
+    request.headers = {'Content-Type': 'application/json'};
+    request.body = '{"query":"foo"}';
+
+    xhrTransport('my-api.json', request);
+
+    expect(xhr.setRequestHeader).to.have.been.calledWith('Content-Type',
+                                                         'application/json');
+    expect(xhr.send).to.have.been.calledWith('{"query":"foo"}');
+  });
+
+  it('should send cross-domain cookies when asked', function() {
+    xhrTransport('my-api.json', request);
+
+    expect(xhr.withCredentials).to.equal(true);
+  });
+
+  it('should call success with parsed JSON', function() {
+    xhrTransport('my-api.json', request);
+
+    respond(200, '{"name": "John Doe"}');
+
+    expect(request.success.args[0][0]).to.deep.equal({name: 'John Doe'});
+    expect(request.complete).to.have.been.calledAfter(request.success);
+  });
+
+  it('should report not modified responses as successful', function() {
+    xhrTransport('my-api.json', request);
+
+    respond(304, '');
+
+    expect(request.success).to.have.been.calledWith(undefined,
+                                                    'notmodified');
+    expect(request.complete.args[0][1]).to.equal('notmodified');
+  });
+
+  it('should call error with status and JSON response', function() {
+    xhrTransport('my-api.json', request);
+
+    respond(404, '{"error": "missing"}');
+
+    var args = request.error.args[0];
+    expect(args[0].status).to.equal(404);
+    expect(args[0].responseJSON).to.deep.equal({error: 'missing'});
+    expect(args[1]).to.equal('error');
+    expect(args[2]).to.equal('Not Found');
+  });
+
+  it('should call error with parsererror for invalid JSON', function() {
+    xhrTransport('my-api.json', request);
+
+    respond(200, '<html>');
+
+    expect(request.success).to.not.have.been.called;
+    expect(request.error.args[0][1]).to.equal('parsererror');
+  });
+
+  it('should call error with abort when aborted', function() {
+    xhrTransport('my-api.json', request).abort();
+
+    expect(xhr.abort).to.have.been.called;
+    expect(request.error.args[0][1]).to.equal('abort');
+    expect(request.complete).to.have.been.calledOnce;
+  });
+
+  it('should ignore state changes after aborting', function() {
+    xhrTransport('my-api.json', request).abort();
+
+    respond(0, '');
+
+    expect(request.error).to.have.been.calledOnce;
+  });
+});
@@ -0,0 +1,135 @@
+var React = require('react'),
+    $ = require('jquery'),
+    withDataFetch = require('../src/with-data-fetch.js'),
+    jqueryTransport = require('../src/transports/jquery.js');
+
+describe('withDataFetch', function() {
+  var UserList, Container, instance;
+
+  var mount = function(props) {
+    instance = new Container(Object.assign({}, Container.defaultProps, props));
+
+    // Apply state changes right away, without a renderer
+    instance.setState = sinon.spy(function(update) {
+      if (typeof(update) === 'function') {
+        update = update(this.state);
+      }
+
+      this.state = Object.assign({}, this.state, update);
+    });
+
+    instance.componentWillMount();
+  };
+
+  beforeEach(function() {
+    $.ajax = sinon.stub().returns({
+      abort: function() {}
+    });
+
+    UserList = function() {
+      return null;
+    };
+
+    Container = withDataFetch({
+      transport: jqueryTransport
+    })(UserList);
+  });
+
+  it('should name wrapping component after wrapped one', function() {
+    UserList.displayName = 'UserList';
+
+    expect(withDataFetch()(UserList).displayName)
+          .to.equal('withDataFetch(UserList)');
+  });
+
+  it('should fetch data URL on mount', function() {
+    mount({dataUrl: '/api/users'});
+
+    expect($.ajax.args[0][0].url).to.equal('/api/users');
+  });
+
+  it('should render wrapped component with own props', function() {
+    mount({dataUrl: '/api/users', title: 'Users'});
+
+    var element = instance.render();
+
+    expect(element.type).to.equal(UserList);
+    expect(element.props.title).to.equal('Users');
+  });
+
+  it('should pass data fetching state as props', function() {
+    mount({dataUrl: '/api/users'});
+
+    expect(instance.render().props.isFetchingData).to.equal(true);
+
+    $.ajax.args[0][0].success(['John']);
+
+    var props = instance.render().props;
+    expect(props.data).to.deep.equal(['John']);
+    expect(props.isFetchingData).to.equal(false);
+    expect(props.dataError).to.equal(null);
+  });
+
+  it('should pass bound data fetching methods as props', function() {
+    mount({dataUrl: '/api/users'});
+
+    var props = instance.render().props;
+    props.refreshData();
+
+    expect($.ajax).to.have.been.calledTwice;
+    expect(props.stopPolling).to.be.a('function');
+    expect(props.resumePolling).to.be.a('function');
+  });
+
+  it('should use hooks given along with options', function() {
+    Container = withDataFetch({
+      transport: jqueryTransport,
+      getDataUrl: function(props) {
+        return '/api/users/' + props.userId;
+      },
+      transformData: function(data) {
+        return data.user;
+      }
+    })(UserList);
+
+    mount({userId: 5});
+    $.ajax.args[0][0].success({user: {name: 'John'}});
+
+    expect($.ajax.args[0][0].url).to.equal('/api/users/5');
+    expect(instance.render().props.data).to.deep.equal({name: 'John'});
+  });
+
+  it('should refetch when data URL prop changes', function() {
+    mount({dataUrl: '/api/users'});
+
+    instance.componentWillReceiveProps({dataUrl: '/api/posts'});
+
+    expect($.ajax.args[1][0].url).to.equal('/api/posts');
+  });
+
+  it('should poll and stop polling on unmount', function() {
+    var clock = sinon.useFakeTimers();
+
+    mount({dataUrl: '/api/users', pollInterval: 1000});
+    clock.tick(1000);
+    instance.componentWillUnmount();
+    clock.tick(1000);
+    clock.restore();
+
+    expect($.ajax).to.have.been.calledTwice;
+  });
+
+  it('should expose static fetchData', function() {
+    var callback = sinon.spy();
+
+    Container.fetchData({dataUrl: '/api/users'}, callback);
+    $.ajax.args[0][0].success(['John']);
+    $.ajax.args[0][0].complete({}, 'success');
+
+    expect(callback).to.have.been.calledWith({'/api/users': ['John']});
+  });
+
+  it('should be a React component', function() {
+    expect(Container.prototype).to.be.an.instanceof(React.Component);
+  });
+});